@@ -0,0 +1,86 @@
+// Built-in OAuth 2.0 / OpenID Connect provider presets. A provider is enabled
+// by setting OAUTH_<NAME>_CLIENT_ID and OAUTH_<NAME>_CLIENT_SECRET.
+const PROVIDER_PRESETS = {
+  google: {
+    type: 'oidc',
+    issuer: 'https://accounts.google.com',
+    scope: 'openid email profile'
+  },
+  linkedin: {
+    type: 'oidc',
+    issuer: 'https://www.linkedin.com/oauth',
+    scope: 'openid email profile'
+  },
+  github: {
+    type: 'oauth2',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    userInfoEndpoint: 'https://api.github.com/user',
+    emailsEndpoint: 'https://api.github.com/user/emails',
+    scope: 'read:user user:email',
+    mapProfile: (data) => ({
+      subject: String(data.id),
+      email: data.email,
+      emailVerified: false,
+      firstName: (data.name || data.login || '').split(' ')[0],
+      lastName: (data.name || '').split(' ').slice(1).join(' ')
+    })
+  },
+  facebook: {
+    type: 'oauth2',
+    authorizationEndpoint: 'https://www.facebook.com/v18.0/dialog/oauth',
+    tokenEndpoint: 'https://graph.facebook.com/v18.0/oauth/access_token',
+    userInfoEndpoint: 'https://graph.facebook.com/me?fields=id,email,first_name,last_name',
+    scope: 'email public_profile',
+    mapProfile: (data) => ({
+      subject: String(data.id),
+      email: data.email,
+      // Facebook only returns confirmed email addresses
+      emailVerified: Boolean(data.email),
+      firstName: data.first_name,
+      lastName: data.last_name
+    })
+  }
+};
+
+// Read provider settings from the environment. Extra OIDC providers (for example
+// a local mock OIDC server) can be added with OAUTH_PROVIDERS=mock plus
+// OAUTH_MOCK_ISSUER, OAUTH_MOCK_CLIENT_ID and OAUTH_MOCK_CLIENT_SECRET.
+const getProviderSettings = () => {
+  const extraNames = (process.env.OAUTH_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const names = [...new Set([...Object.keys(PROVIDER_PRESETS), ...extraNames])];
+  const providers = {};
+
+  for (const name of names) {
+    const prefix = `OAUTH_${name.toUpperCase()}_`;
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+    const clientSecret = process.env[`${prefix}CLIENT_SECRET`];
+
+    if (!clientId || !clientSecret) {
+      continue;
+    }
+
+    const preset = PROVIDER_PRESETS[name] || { type: 'oidc', scope: 'openid email profile' };
+
+    providers[name] = {
+      ...preset,
+      name,
+      clientId,
+      clientSecret,
+      issuer: process.env[`${prefix}ISSUER`] || preset.issuer,
+      redirectUri: process.env[`${prefix}REDIRECT_URI`] ||
+        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/oauth/callback/${name}`
+    };
+  }
+
+  return providers;
+};
+
+module.exports = {
+  PROVIDER_PRESETS,
+  getProviderSettings
+};
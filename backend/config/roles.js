@@ -0,0 +1,32 @@
+// Every permission that can be granted to a role
+const PERMISSIONS = [
+  'dashboard:view',
+  'users:read',
+  'users:manage',
+  'users:impersonate',
+  'roles:manage',
+  'products:read',
+  'products:write',
+  'reviews:moderate',
+  'orders:read',
+  'orders:update-status',
+  'payments:read'
+];
+
+// Wildcard permission granting everything
+const ALL_PERMISSIONS = '*';
+
+// Roles created automatically on startup. They cannot be edited or deleted.
+const BUILT_IN_ROLES = [
+  {
+    name: 'owner',
+    description: 'Full access to every admin feature',
+    permissions: [ALL_PERMISSIONS]
+  }
+];
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES
+};
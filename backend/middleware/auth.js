@@ -1,24 +1,72 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const { ACCESS_TOKEN_COOKIE, hasValidCsrfToken, requiresCsrfCheck } = require('./cookieAuth');
 
 // Generate access token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'your-secret-key', {
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET || 'your-secret-key', {
     expiresIn: process.env.JWT_EXPIRE || '1h'
   });
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key', {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d'
+// Generate refresh token (tokenId identifies it within its session's token family)
+const generateRefreshToken = (userId, sessionId, tokenId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key', {
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
+    jwtid: tokenId
   });
 };
 
-// Middleware to authenticate user
+// Verify a refresh token and return its payload
+const verifyRefreshToken = (token) => {
+  return jwt.verify(token, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key');
+};
+
+// Generate a restricted access token for an admin acting as a customer
+const generateImpersonationToken = (userId, impersonatorId, impersonationId) => {
+  return jwt.sign(
+    { userId, impersonatorId, impersonationId, impersonation: true },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: process.env.JWT_IMPERSONATION_EXPIRE || '30m' }
+  );
+};
+
+// Key for 2FA challenge tokens: JWT_2FA_SECRET, or one derived from JWT_SECRET.
+// There is no built-in fallback: a known key would let anyone skip the password step.
+const getTwoFactorSecret = () => {
+  if (process.env.JWT_2FA_SECRET) {
+    return process.env.JWT_2FA_SECRET;
+  }
+  if (process.env.JWT_SECRET) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('2fa-challenge').digest('hex');
+  }
+  throw new Error('JWT_2FA_SECRET (or JWT_SECRET) must be set to use two-factor authentication');
+};
+
+// Generate short-lived challenge token for the second login step (2FA)
+const generateTwoFactorChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa' }, getTwoFactorSecret(), {
+    expiresIn: process.env.JWT_2FA_EXPIRE || '5m'
+  });
+};
+
+// Verify a 2FA challenge token and return its payload
+const verifyTwoFactorChallengeToken = (token) => {
+  const decoded = jwt.verify(token, getTwoFactorSecret());
+  if (decoded.purpose !== '2fa') {
+    throw new Error('Invalid challenge token');
+  }
+  return decoded;
+};
+
+// Middleware to authenticate user (Bearer header, or HttpOnly cookie with CSRF check)
 const authenticate = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const bearerToken = req.header('Authorization')?.replace('Bearer ', '');
+    const token = bearerToken || req.cookies?.[ACCESS_TOKEN_COOKIE];
 
     if (!token) {
       return res.status(401).json({
@@ -27,8 +75,18 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Cookies are sent automatically by the browser, so state-changing
+    // requests must prove they came from our frontend
+    if (!bearerToken && requiresCsrfCheck(req) && !hasValidCsrfToken(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or missing CSRF token.',
+        code: 'CSRF_INVALID'
+      });
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(decoded.userId).populate('role');
 
     if (!user) {
       return res.status(401).json({
@@ -44,7 +102,40 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Reject access tokens whose session has been revoked
+    if (decoded.sessionId) {
+      const session = await Session.findOne({ _id: decoded.sessionId, user: user._id });
+      if (!session || !session.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired. Please log in again.'
+        });
+      }
+      req.sessionId = session._id;
+    }
+
+    // Impersonation tokens stop working as soon as the impersonation is stopped
+    if (decoded.impersonationId) {
+      const impersonation = await Impersonation.findOne({
+        _id: decoded.impersonationId,
+        user: user._id,
+        admin: decoded.impersonatorId
+      });
+      if (!impersonation || !impersonation.isActive) {
+        if (impersonation && !impersonation.endedAt) {
+          await impersonation.stop(impersonation.admin, 'expired');
+        }
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation session has ended.'
+        });
+      }
+      req.impersonation = impersonation;
+      user.impersonatedBy = impersonation.admin;
+    }
+
     req.user = user;
+    req.authMode = bearerToken ? 'bearer' : 'cookie';
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -55,20 +146,79 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Middleware to require admin role
+// Reject admins who haven't enrolled in 2FA when it is required by config
+const enforceAdminTwoFactor = (req, res) => {
+  if (process.env.REQUIRE_ADMIN_2FA === 'true' && !req.user.twoFactor?.enabled) {
+    res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be enabled for admin accounts.',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+    return false;
+  }
+  return true;
+};
+
+// Middleware to require admin role (any role grants access to the admin area)
 const requireAdmin = (req, res, next) => {
-  if (!req.user || !req.user.isAdmin) {
+  if (!req.user || !req.user.role) {
     return res.status(403).json({
       success: false,
       message: 'Access denied. Admin role required.'
     });
   }
+
+  if (!enforceAdminTwoFactor(req, res)) return;
+  next();
+};
+
+// Middleware to block sensitive actions (payments, passwords, account security) while impersonating
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not allowed while impersonating a customer.',
+      code: 'IMPERSONATION_RESTRICTED'
+    });
+  }
+  next();
+};
+
+// Middleware factory to require every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user || !permissions.every(permission => req.user.hasPermission(permission))) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. Requires permission: ${permissions.join(', ')}`
+    });
+  }
+
+  if (!enforceAdminTwoFactor(req, res)) return;
+  next();
+};
+
+// Middleware to require a verified email address (use after authenticate)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to continue.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
   next();
 };
 
 module.exports = {
   authenticate,
   requireAdmin,
+  requirePermission,
+  requireVerifiedEmail,
+  blockImpersonation,
   generateToken,
-  generateRefreshToken
+  generateRefreshToken,
+  verifyRefreshToken,
+  generateImpersonationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
 };
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Cookie names
+const ACCESS_TOKEN_COOKIE = 'access_token';
+const REFRESH_TOKEN_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'XSRF-TOKEN';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// Methods that never change state and so don't need a CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Shared cookie options (Secure can only be switched off for local HTTP development)
+const baseCookieOptions = () => ({
+  secure: process.env.AUTH_COOKIE_SECURE !== 'false',
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || 'strict',
+  domain: process.env.AUTH_COOKIE_DOMAIN || undefined
+});
+
+// Milliseconds until a JWT expires
+const msUntilExpiry = (token) => {
+  const { exp } = jwt.decode(token);
+  return Math.max(0, exp * 1000 - Date.now());
+};
+
+// Check whether the client asked for cookie mode instead of tokens in the body
+const wantsCookieAuth = (req) => req.get('X-Auth-Mode') === 'cookie';
+
+// Set the access/refresh tokens as HttpOnly cookies plus a readable CSRF cookie.
+// Returns the CSRF token the client must echo in the X-CSRF-Token header.
+const setAuthCookies = (res, { token, refreshToken }) => {
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+  const refreshMaxAge = msUntilExpiry(refreshToken);
+
+  res.cookie(ACCESS_TOKEN_COOKIE, token, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    path: '/api',
+    maxAge: msUntilExpiry(token)
+  });
+  res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    path: '/api/auth',
+    maxAge: refreshMaxAge
+  });
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...baseCookieOptions(),
+    httpOnly: false,
+    path: '/',
+    maxAge: refreshMaxAge
+  });
+
+  return csrfToken;
+};
+
+// Remove all auth cookies
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_TOKEN_COOKIE, { ...baseCookieOptions(), path: '/api' });
+  res.clearCookie(REFRESH_TOKEN_COOKIE, { ...baseCookieOptions(), path: '/api/auth' });
+  res.clearCookie(CSRF_COOKIE, { ...baseCookieOptions(), path: '/' });
+};
+
+// Double-submit check: the header must match the CSRF cookie
+const hasValidCsrfToken = (req) => {
+  const cookieToken = req.cookies?.[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (!cookieToken || !headerToken || cookieToken.length !== headerToken.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken));
+};
+
+// Check whether a request must carry a CSRF token
+const requiresCsrfCheck = (req) => !SAFE_METHODS.includes(req.method);
+
+module.exports = {
+  ACCESS_TOKEN_COOKIE,
+  REFRESH_TOKEN_COOKIE,
+  CSRF_HEADER,
+  wantsCookieAuth,
+  setAuthCookies,
+  clearAuthCookies,
+  hasValidCsrfToken,
+  requiresCsrfCheck
+};
@@ -0,0 +1,55 @@
+const multer = require('multer');
+const { ALLOWED_MIME_TYPES } = require('../services/imageService');
+
+const MAX_IMAGE_SIZE_MB = parseInt(process.env.MAX_IMAGE_UPLOAD_MB) || 5;
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Keep uploads in memory; they are resized and written through the storage adapter
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024,
+    files: MAX_IMAGES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error('Only JPEG, PNG and WebP images are allowed');
+      error.code = 'INVALID_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Messages for multer errors
+const uploadErrorMessage = (error) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `Each image must be ${MAX_IMAGE_SIZE_MB}MB or smaller`;
+    case 'LIMIT_FILE_COUNT':
+      return `You can upload up to ${MAX_IMAGES_PER_UPLOAD} images at a time`;
+    case 'LIMIT_UNEXPECTED_FILE':
+      return 'Images must be uploaded in the "images" field';
+    default:
+      return error.message;
+  }
+};
+
+// Middleware to accept up to MAX_IMAGES_PER_UPLOAD images in the "images" field
+const uploadProductImages = (req, res, next) => {
+  imageUpload.array('images', MAX_IMAGES_PER_UPLOAD)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error instanceof multer.MulterError || error.code === 'INVALID_FILE_TYPE'
+          ? uploadErrorMessage(error)
+          : 'Invalid upload'
+      });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  uploadProductImages
+};
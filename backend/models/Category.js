@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+const slugify = (text) => text
+  .toLowerCase()
+  .replace(/[^a-z0-9\s-]/g, '')
+  .trim()
+  .replace(/[\s-]+/g, '-')
+  .substring(0, 60);
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Ids from the root down to the parent, for subtree queries
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  image: {
+    url: String,
+    alt: {
+      type: String,
+      default: ''
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Generate slug from name
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// Keep ancestors in sync with the parent and refuse cycles
+categorySchema.pre('validate', async function() {
+  if (!this.isModified('parent')) {
+    return;
+  }
+
+  if (!this.parent) {
+    this.ancestors = [];
+    return;
+  }
+
+  const parent = await this.constructor.findById(this.parent);
+  if (!parent) {
+    this.invalidate('parent', 'Parent category not found');
+  } else if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+    this.invalidate('parent', 'A category cannot be moved inside itself');
+  } else {
+    this.ancestors = [...parent.ancestors, parent._id];
+  }
+});
+
+// Instance method to refresh the ancestors of every descendant after a move
+categorySchema.methods.updateDescendants = async function() {
+  const descendants = await this.constructor.find({ ancestors: this._id });
+
+  await Promise.all(descendants.map(descendant => {
+    const index = descendant.ancestors.findIndex(id => id.equals(this._id));
+    const ancestors = [...this.ancestors, this._id, ...descendant.ancestors.slice(index + 1)];
+    return this.constructor.updateOne({ _id: descendant._id }, { ancestors });
+  }));
+};
+
+// Static method to find a category by slug or id
+categorySchema.statics.findBySlugOrId = function(value) {
+  if (mongoose.isValidObjectId(value) && String(value).length === 24) {
+    return this.findOne({ $or: [{ _id: value }, { slug: String(value).toLowerCase() }] });
+  }
+  return this.findOne({ slug: String(value).toLowerCase() });
+};
+
+// Static method to get a category id together with all of its descendant ids
+categorySchema.statics.getSubtreeIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).select('_id');
+  return [categoryId, ...descendants.map(category => category._id)];
+};
+
+// Static method to build the nested tree. stats maps category id -> { count, minPrice, maxPrice }
+// for products directly in that category; each node reports totals for its whole subtree.
+categorySchema.statics.buildTree = async function(stats = new Map(), { includeInactive = false } = {}) {
+  const filter = includeInactive ? {} : { isActive: true };
+  const categories = await this.find(filter).sort({ sortOrder: 1, name: 1 }).lean();
+
+  const nodes = new Map(categories.map(category => [category._id.toString(), {
+    _id: category._id,
+    name: category.name,
+    slug: category.slug,
+    description: category.description,
+    image: category.image,
+    sortOrder: category.sortOrder,
+    parent: category.parent,
+    isActive: category.isActive,
+    count: 0,
+    minPrice: null,
+    maxPrice: null,
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else if (!node.parent) {
+      roots.push(node);
+    }
+  }
+
+  // Roll product counts and price ranges up from the leaves
+  const total = (node) => {
+    const own = stats.get(node._id.toString());
+    const parts = [own, ...node.children.map(total)].filter(part => part && part.count > 0);
+
+    node.count = parts.reduce((sum, part) => sum + part.count, 0);
+    if (parts.length > 0) {
+      node.minPrice = Math.min(...parts.map(part => part.minPrice));
+      node.maxPrice = Math.max(...parts.map(part => part.maxPrice));
+    }
+    return node;
+  };
+  roots.forEach(total);
+
+  return roots;
+};
+
+// Static method to turn the category names products used to store (from the old
+// fixed enum) into Category documents and point the products at them
+categorySchema.statics.migrateLegacyCategories = async function(productCollection) {
+  const names = await productCollection.distinct('category', { category: { $type: 'string' } });
+  let migrated = 0;
+
+  for (const name of names) {
+    const slug = slugify(name);
+    const category = await this.findOneAndUpdate(
+      { slug },
+      { $setOnInsert: { name: name.charAt(0).toUpperCase() + name.slice(1), slug } },
+      { upsert: true, new: true }
+    );
+    const { modifiedCount } = await productCollection.updateMany(
+      { category: name },
+      { $set: { category: category._id } }
+    );
+    migrated += modifiedCount;
+  }
+
+  return migrated;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
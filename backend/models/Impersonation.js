@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Audit trail of admins signing in as customers. Each record covers one
+// impersonation from start to stop.
+const impersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Impersonation reason is required'],
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  ipAddress: String,
+  userAgent: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  endReason: {
+    type: String,
+    enum: ['stopped', 'expired']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+impersonationSchema.index({ admin: 1, startedAt: -1 });
+impersonationSchema.index({ user: 1, startedAt: -1 });
+
+// Virtual for active state
+impersonationSchema.virtual('isActive').get(function() {
+  return !this.endedAt && this.expiresAt > new Date();
+});
+
+// Instance method to record the stop event
+impersonationSchema.methods.stop = function(adminId, reason = 'stopped') {
+  if (!this.endedAt) {
+    this.endedAt = new Date();
+    this.endedBy = adminId;
+    this.endReason = reason;
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+
+// Ledger of stock changes. Every change to a product's (or variant's) stock is
+// recorded with its cause and the balance it left, so counts can be explained
+// and checked against the stored quantity.
+const MOVEMENT_TYPES = [
+  'opening', // balance found when an item first appears in the ledger
+  'initial', // stock entered when the product was created
+  'sale', // taken for an order
+  'release', // held for an unpaid order and put back (expired, payment failed, cancelled)
+  'cancellation', // restocked after a paid order was cancelled
+  'return', // customer return booked by an admin
+  'adjustment', // manual correction (stocktake, damage, loss)
+  'import', // set by a catalogue import
+  'product_update', // set by editing the product
+  'transfer' // moved between locations (one entry per side)
+];
+
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: String,
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  // Signed change in units
+  quantity: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Location the stock changed at (null for changes to the item as a whole)
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  locationBalanceAfter: Number,
+  // Shared by the two sides of a transfer
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // User who made the change (null for checkout and background jobs)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+inventoryMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+inventoryMovementSchema.index({ type: 1, createdAt: -1 });
+inventoryMovementSchema.index({ location: 1, createdAt: -1 });
+// One opening entry per item, even when its first two movements are recorded at once
+inventoryMovementSchema.index({ product: 1, variant: 1 }, { unique: true, partialFilterExpression: { type: 'opening' } });
+
+// Static method to record a change. The first movement for an item is preceded
+// by an "opening" entry for the balance it had before the ledger started.
+inventoryMovementSchema.statics.record = async function({
+  product,
+  variant = null,
+  sku,
+  type,
+  quantity,
+  balanceAfter,
+  location = null,
+  locationBalanceAfter,
+  transfer = null,
+  order = null,
+  actor = null,
+  reason
+}, { session = null } = {}) {
+  // Transfers move stock between locations without changing the item's balance
+  const seen = await this.exists({ product, variant }).session(session);
+  const openingBalance = type === 'transfer' ? balanceAfter : balanceAfter - quantity;
+  if (!seen && openingBalance !== 0 && type !== 'opening') {
+    // Created first so the opening entry sorts before the change it precedes
+    try {
+      await this.create([{ product, variant, sku, type: 'opening', quantity: openingBalance, balanceAfter: openingBalance }], { session });
+    } catch (error) {
+      // Another movement wrote the opening entry first. Inside a transaction the
+      // duplicate has aborted it, so the error goes up for the transaction to fail.
+      if (error.code !== 11000 || session) throw error;
+    }
+  }
+
+  const [movement] = await this.create([{
+    product, variant, sku, type, quantity, balanceAfter, location, locationBalanceAfter, transfer, order, actor, reason
+  }], { session });
+  return movement;
+};
+
+// Static method to record the difference between two stock snapshots (see
+// Product#getStockSnapshot), e.g. after an import or a product edit
+inventoryMovementSchema.statics.recordSnapshotChanges = async function(product, before, details, { session = null } = {}) {
+  if (!product.inventory.trackInventory) {
+    return;
+  }
+
+  const after = product.getStockSnapshot();
+  const keys = new Set([...before.keys(), ...after.keys()]);
+
+  for (const key of keys) {
+    const previous = before.get(key) || { quantity: 0 };
+    const current = after.get(key) || { quantity: 0, sku: previous.sku };
+    const change = current.quantity - previous.quantity;
+    if (change === 0) continue;
+
+    await this.record({
+      ...details,
+      product: product._id,
+      variant: key || null,
+      sku: current.sku,
+      quantity: change,
+      balanceAfter: current.quantity
+    }, { session });
+  }
+};
+
+// Static method to compare the ledger with stored quantities. Returns one row per
+// stock item (product, or variant of a product with variants).
+inventoryMovementSchema.statics.reconcile = async function({ productIds = null, onlyDrift = true } = {}) {
+  const match = productIds ? { product: { $in: productIds } } : {};
+  const ledger = await this.aggregate([
+    { $match: match },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: { product: '$product', variant: '$variant' },
+        ledgerQuantity: { $sum: '$quantity' },
+        lastBalance: { $last: '$balanceAfter' },
+        movements: { $sum: 1 },
+        lastMovementAt: { $last: '$createdAt' }
+      }
+    }
+  ]);
+  const ledgerByItem = new Map(ledger.map(entry => [
+    `${entry._id.product}:${entry._id.variant || ''}`,
+    entry
+  ]));
+
+  const productFilter = { 'inventory.trackInventory': { $ne: false } };
+  if (productIds) productFilter._id = { $in: productIds };
+  const products = await mongoose.model('Product')
+    .find(productFilter)
+    .select('title inventory variants._id variants.sku variants.inventory')
+    .lean();
+
+  const rows = [];
+  for (const product of products) {
+    const items = product.variants && product.variants.length > 0
+      ? product.variants.map(variant => ({ variant: variant._id, sku: variant.sku, quantity: variant.inventory.quantity }))
+      : [{ variant: null, sku: product.inventory.sku, quantity: product.inventory.quantity }];
+
+    for (const item of items) {
+      const entry = ledgerByItem.get(`${product._id}:${item.variant || ''}`);
+      const ledgerQuantity = entry ? entry.ledgerQuantity : 0;
+      const drift = item.quantity - ledgerQuantity;
+      if (onlyDrift && drift === 0) continue;
+
+      rows.push({
+        product: product._id,
+        title: product.title,
+        variant: item.variant,
+        sku: item.sku,
+        storedQuantity: item.quantity,
+        ledgerQuantity,
+        lastBalance: entry ? entry.lastBalance : null,
+        movements: entry ? entry.movements : 0,
+        lastMovementAt: entry ? entry.lastMovementAt : null,
+        drift
+      });
+    }
+  }
+
+  return rows;
+};
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Match state names however they were typed, e.g. "Lagos State" and "lagos"
+const normalizeState = (state) => (state || '')
+  .toLowerCase()
+  .replace(/\s+state$/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// A warehouse or store that holds stock and ships orders
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    trim: true,
+    maxlength: [100, 'Location name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Location code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]{2,20}$/, 'Code may only contain 2-20 letters, numbers and hyphens']
+  },
+  address: {
+    address: String,
+    city: String,
+    state: String,
+    country: {
+      type: String,
+      default: 'Nigeria'
+    },
+    phone: String
+  },
+  // Shipping states this location ships to first
+  servesStates: [{
+    type: String,
+    set: normalizeState
+  }],
+  // Stock entered without a location (product edits, imports) is booked here
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Lower ships first when no location serves the shipping state
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+locationSchema.index({ servesStates: 1, isActive: 1 });
+
+// Keep a single default location
+locationSchema.pre('save', async function() {
+  if (this.isModified('isDefault') && this.isDefault) {
+    await this.constructor.updateMany({ _id: { $ne: this._id }, isDefault: true }, { $set: { isDefault: false } });
+  }
+});
+
+// Static method to get the default location (falling back to the first active one)
+locationSchema.statics.getDefault = function() {
+  return this.findOne({ isActive: true }).sort({ isDefault: -1, priority: 1, createdAt: 1 });
+};
+
+// Static method to create a default location when there are none yet
+locationSchema.statics.ensureDefaultLocation = async function() {
+  const existing = await this.getDefault();
+  if (existing) {
+    return existing;
+  }
+  return this.create({ name: 'Main Warehouse', code: 'MAIN', isDefault: true });
+};
+
+// Static method to list active locations in the order they should ship to a state:
+// those serving the state first, then the default location, then by priority
+locationSchema.statics.findForState = async function(state) {
+  const locations = await this.find({ isActive: true }).sort({ isDefault: -1, priority: 1, createdAt: 1 });
+  const normalized = normalizeState(state);
+  return [
+    ...locations.filter(location => location.servesStates.includes(normalized)),
+    ...locations.filter(location => !location.servesStates.includes(normalized))
+  ];
+};
+
+// Static method to total the stock held at each location: location id -> { units, items }
+locationSchema.statics.getStockTotals = async function() {
+  const totals = await mongoose.model('Product').aggregate([
+    {
+      $project: {
+        locations: {
+          $concatArrays: [
+            { $ifNull: ['$inventory.locations', []] },
+            {
+              $reduce: {
+                input: { $ifNull: ['$variants.inventory.locations', []] },
+                initialValue: [],
+                in: { $concatArrays: ['$$value', { $ifNull: ['$$this', []] }] }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$locations' },
+    {
+      $group: {
+        _id: '$locations.location',
+        units: { $sum: '$locations.quantity' },
+        items: { $sum: { $cond: [{ $gt: ['$locations.quantity', 0] }, 1, 0] } }
+      }
+    }
+  ]);
+  return new Map(totals.map(total => [total._id.toString(), { units: total.units, items: total.items }]));
+};
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Pending OAuth authorization requests. Each state is single-use and expires
+// after 10 minutes. States started by a logged-in user to link a provider record
+// that user and can only complete a link for them.
+const oauthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 600
+  }
+});
+
+// Static method to look up and delete a state in one step (login states have no user)
+oauthStateSchema.statics.consume = function(state, provider, userId = null) {
+  return this.findOneAndDelete({ state, provider, user: userId });
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
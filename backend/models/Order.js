@@ -17,6 +17,22 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Variant snapshot (size/colour) for products sold by variant
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    sku: String,
+    // Location the item ships from
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null
+    },
+    variantOptions: {
+      type: Map,
+      of: String
+    },
     title: {
       type: String,
       required: true
@@ -195,6 +211,35 @@ orderSchema.statics.getOrderStats = async function() {
   ]);
 };
 
+// Static method to check whether a user has received a product (for verified-purchase reviews)
+orderSchema.statics.hasDeliveredProduct = async function(userId, productId) {
+  return Boolean(await this.exists({ user: userId, status: 'delivered', 'items.product': productId }));
+};
+
+// Static method to strip personal details from a user's orders. Amounts, items,
+// city and state are kept for accounting and tax records.
+orderSchema.statics.anonymizeForUser = function(userId, placeholderEmail) {
+  return this.updateMany({ user: userId }, {
+    $set: {
+      'shippingAddress.firstName': 'Deleted',
+      'shippingAddress.lastName': 'User',
+      'shippingAddress.email': placeholderEmail,
+      'shippingAddress.phone': '0000000000',
+      'shippingAddress.address': 'Redacted',
+      'billingAddress.firstName': 'Deleted',
+      'billingAddress.lastName': 'User',
+      'billingAddress.email': placeholderEmail,
+      'billingAddress.phone': '0000000000',
+      'billingAddress.address': 'Redacted'
+    },
+    $unset: {
+      'shippingAddress.postalCode': 1,
+      'billingAddress.postalCode': 1,
+      notes: 1
+    }
+  });
+};
+
 // Pre-save middleware to set timestamps based on status
 orderSchema.pre('save', function(next) {
   if (this.isModified('status')) {
@@ -249,6 +249,23 @@ paymentSchema.statics.getGatewayStats = async function(gateway) {
   ]);
 };
 
+// Static method to strip personal details from a user's payments while keeping
+// amounts, references and refunds for accounting
+paymentSchema.statics.anonymizeForUser = function(userId) {
+  return this.updateMany({ user: userId }, {
+    $unset: {
+      ipAddress: 1,
+      userAgent: 1,
+      webhookData: 1,
+      'cardDetails.expiryMonth': 1,
+      'cardDetails.expiryYear': 1,
+      'metadata.flutterwaveData.customer': 1,
+      'metadata.paystackData.customer': 1,
+      'metadata.paystackData.authorization': 1
+    }
+  });
+};
+
 // Instance methods
 paymentSchema.methods.markCompleted = function(gatewayTransactionId = null, metadata = {}) {
   this.status = 'completed';
@@ -1,4 +1,94 @@
 const mongoose = require('mongoose');
+const InventoryMovement = require('./InventoryMovement');
+const Location = require('./Location');
+
+// Sales window used for the "trending" sort
+const TRENDING_WINDOW_DAYS = 7;
+
+const renditionSchema = new mongoose.Schema({
+  url: String,
+  webpUrl: String,
+  width: Number,
+  height: Number
+}, { _id: false });
+
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  alt: {
+    type: String,
+    default: '',
+    maxlength: [200, 'Image alt text cannot exceed 200 characters']
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  // Filled in for uploaded images (URL-only images leave these empty)
+  webpUrl: String,
+  width: Number,
+  height: Number,
+  sizes: {
+    thumbnail: renditionSchema,
+    medium: renditionSchema
+  },
+  storageKeys: [String]
+});
+
+// Stock of a product (or variant) held at one location
+const locationStockSchema = new mongoose.Schema({
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative'],
+    default: 0
+  }
+}, { _id: false });
+
+// A purchasable combination of option values (e.g. size 42 / colour red)
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    uppercase: true,
+    trim: true
+  },
+  options: {
+    type: Map,
+    of: String,
+    required: true
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  inventory: {
+    quantity: {
+      type: Number,
+      min: [0, 'Quantity cannot be negative'],
+      default: 0
+    },
+    // Stock per location; adds up to quantity
+    locations: [locationStockSchema],
+    // Set when admins were alerted that this variant ran low; cleared once restocked
+    lowStockAlertedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  images: [imageSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const productSchema = new mongoose.Schema({
   title: {
@@ -18,32 +108,31 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Price cannot be negative']
   },
   category: {
-    type: String,
-    required: [true, 'Product category is required'],
-    enum: {
-      values: ['electronics', 'fashion', 'home', 'sports', 'beauty', 'toys', 'automotive'],
-      message: 'Category must be one of: electronics, fashion, home, sports, beauty, toys, automotive'
-    }
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Product category is required']
   },
   brand: {
     type: String,
     trim: true,
     maxlength: [50, 'Brand name cannot exceed 50 characters']
   },
-  images: [{
-    url: {
+  images: [imageSchema],
+  // Option names and their allowed values, e.g. [{ name: 'size', values: ['42', '43'] }]
+  variantOptions: [{
+    _id: false,
+    name: {
       type: String,
-      required: true
+      required: true,
+      lowercase: true,
+      trim: true
     },
-    alt: {
+    values: [{
       type: String,
-      default: ''
-    },
-    isPrimary: {
-      type: Boolean,
-      default: false
-    }
+      trim: true
+    }]
   }],
+  variants: [variantSchema],
   inventory: {
     quantity: {
       type: Number,
@@ -58,9 +147,23 @@ const productSchema = new mongoose.Schema({
       uppercase: true,
       trim: true
     },
+    // Stock per location; adds up to quantity (for products with variants, stock is
+    // held per location on each variant instead)
+    locations: [locationStockSchema],
     trackInventory: {
       type: Boolean,
       default: true
+    },
+    // Admins are alerted when stock (of the product, or of any variant) falls to this level
+    lowStockThreshold: {
+      type: Number,
+      min: [0, 'Low-stock threshold cannot be negative'],
+      default: 5
+    },
+    // Set when admins were alerted that the product ran low; cleared once restocked
+    lowStockAlertedAt: {
+      type: Date,
+      default: null
     }
   },
   shipping: {
@@ -120,6 +223,31 @@ const productSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Popularity counters, kept up to date by orders, product views and wishlists
+  metrics: {
+    unitsSold: {
+      type: Number,
+      default: 0
+    },
+    revenue: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    views: {
+      type: Number,
+      default: 0
+    },
+    wishlistCount: {
+      type: Number,
+      default: 0
+    },
+    // Units sold in the last TRENDING_WINDOW_DAYS, refreshed periodically
+    trendingScore: {
+      type: Number,
+      default: 0
+    }
+  },
   reviews: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -136,10 +264,38 @@ const productSchema = new mongoose.Schema({
       type: String,
       maxlength: [500, 'Review comment cannot exceed 500 characters']
     },
+    // New and edited reviews wait for moderation; only approved ones are shown and rated
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'hidden'],
+      default: 'pending'
+    },
+    // The reviewer has a delivered order containing this product
+    isVerified: {
+      type: Boolean,
+      default: false
+    },
+    reply: {
+      comment: {
+        type: String,
+        maxlength: [1000, 'Reply cannot exceed 1000 characters']
+      },
+      repliedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      repliedAt: Date
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date,
     createdAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    updatedAt: Date
   }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -157,17 +313,110 @@ productSchema.index({ category: 1, status: 1 });
 productSchema.index({ title: 'text', description: 'text' });
 productSchema.index({ price: 1 });
 productSchema.index({ 'inventory.sku': 1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
 productSchema.index({ featured: 1, status: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ 'reviews.status': 1 });
+productSchema.index({ status: 1, 'ratings.average': -1, 'ratings.count': -1 });
+productSchema.index({ status: 1, 'metrics.unitsSold': -1 });
+productSchema.index({ status: 1, 'metrics.trendingScore': -1, 'metrics.views': -1 });
 
 // Virtual for primary image
 productSchema.virtual('primaryImage').get(function() {
   return this.images.find(img => img.isPrimary) || this.images[0];
 });
 
+// Virtual for whether the product is sold by variant
+productSchema.virtual('hasVariants').get(function() {
+  return Boolean(this.variants && this.variants.length > 0);
+});
+
 // Virtual for availability
 productSchema.virtual('isAvailable').get(function() {
-  return this.status === 'active' && (!this.inventory.trackInventory || this.inventory.quantity > 0);
+  if (this.status !== 'active') return false;
+  if (this.hasVariants) {
+    return this.variants.some(variant => variant.isActive && (!this.inventory.trackInventory || variant.inventory.quantity > 0));
+  }
+  return !this.inventory.trackInventory || this.inventory.quantity > 0;
+});
+
+// Total stock across an item's locations
+const sumLocationStock = (inventory) => inventory.locations.reduce((total, entry) => total + entry.quantity, 0);
+
+// Keep each item's stock per location adding up to its quantity. When the quantity was
+// set directly (product edits, imports), the difference is booked at the default location.
+productSchema.pre('validate', async function() {
+  if (this.hasVariants && this.inventory.locations.length > 0) {
+    this.inventory.locations = [];
+  }
+
+  const items = this.hasVariants
+    ? this.variants.map((variant, index) => ({ inventory: variant.inventory, path: `variants.${index}.inventory.quantity` }))
+    : [{ inventory: this.inventory, path: 'inventory.quantity' }];
+  const unbalanced = items.filter(item => item.inventory.quantity !== sumLocationStock(item.inventory));
+  if (unbalanced.length === 0) {
+    return;
+  }
+
+  const defaultLocation = await Location.getDefault();
+  if (!defaultLocation) {
+    this.invalidate('inventory.locations', 'Create a stock location before adding stock');
+    return;
+  }
+
+  for (const { inventory, path } of unbalanced) {
+    const difference = inventory.quantity - sumLocationStock(inventory);
+    let entry = inventory.locations.find(stock => stock.location.equals(defaultLocation._id));
+    if (!entry) {
+      inventory.locations.push({ location: defaultLocation._id, quantity: 0 });
+      entry = inventory.locations[inventory.locations.length - 1];
+    }
+
+    if (entry.quantity + difference < 0) {
+      this.invalidate(path, `Only ${entry.quantity} in stock at ${defaultLocation.name}; lower the stock at other locations with an adjustment`);
+      continue;
+    }
+    entry.quantity += difference;
+  }
+});
+
+// Check variants against the declared options and keep product stock as the variant total
+productSchema.pre('validate', function(next) {
+  if (!this.hasVariants) {
+    return next();
+  }
+
+  const allowed = new Map(this.variantOptions.map(option => [option.name, option.values]));
+  const skus = new Set();
+  const combinations = new Set();
+
+  this.variants.forEach((variant, index) => {
+    if (skus.has(variant.sku)) {
+      this.invalidate(`variants.${index}.sku`, `Duplicate variant SKU ${variant.sku}`);
+    }
+    skus.add(variant.sku);
+
+    for (const [name, value] of variant.options) {
+      if (!allowed.has(name) || !allowed.get(name).includes(value)) {
+        this.invalidate(`variants.${index}.options`, `Variant ${variant.sku} has an invalid ${name} "${value}"`);
+      }
+    }
+    if (variant.options.size !== allowed.size) {
+      this.invalidate(`variants.${index}.options`, `Variant ${variant.sku} must set every option (${[...allowed.keys()].join(', ')})`);
+    }
+
+    const combination = [...allowed.keys()].map(name => variant.options.get(name)).join('/');
+    if (combinations.has(combination)) {
+      this.invalidate(`variants.${index}.options`, `More than one variant for ${combination}`);
+    }
+    combinations.add(combination);
+  });
+
+  // Only when the variants were edited, so a stale copy cannot overwrite stock changed by checkouts
+  if (this.isModified('variants')) {
+    this.inventory.quantity = this.variants.reduce((total, variant) => total + variant.inventory.quantity, 0);
+  }
+  next();
 });
 
 // Pre-save middleware to generate slug
@@ -210,37 +459,342 @@ productSchema.statics.searchProducts = function(query, filters = {}) {
     .sort({ score: { $meta: 'textScore' } });
 };
 
-// Instance method to update inventory
-productSchema.methods.updateInventory = function(quantityChange) {
-  if (this.inventory.trackInventory) {
-    this.inventory.quantity += quantityChange;
-    if (this.inventory.quantity < 0) {
+// Static method to add (direction 1) or take back (direction -1, on cancellation)
+// the units and revenue of order items
+productSchema.statics.recordSales = function(items, direction = 1, { session = null } = {}) {
+  if (items.length === 0) {
+    return Promise.resolve();
+  }
+  return this.bulkWrite(items.map(item => ({
+    updateOne: {
+      filter: { _id: item.product },
+      update: {
+        $inc: {
+          'metrics.unitsSold': direction * item.quantity,
+          'metrics.revenue': direction * item.price * item.quantity
+        }
+      }
+    }
+  })), { session });
+};
+
+// Static method to recalculate trending scores from recent orders
+productSchema.statics.refreshTrendingScores = async function(windowDays = TRENDING_WINDOW_DAYS) {
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const recentSales = await mongoose.model('Order').aggregate([
+    { $match: { createdAt: { $gte: since }, status: { $ne: 'cancelled' } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.product', units: { $sum: '$items.quantity' } } }
+  ]);
+
+  const trendingIds = recentSales.map(sale => sale._id);
+  await this.updateMany(
+    { _id: { $nin: trendingIds }, 'metrics.trendingScore': { $ne: 0 } },
+    { $set: { 'metrics.trendingScore': 0 } }
+  );
+  if (recentSales.length > 0) {
+    await this.bulkWrite(recentSales.map(sale => ({
+      updateOne: {
+        filter: { _id: sale._id },
+        update: { $set: { 'metrics.trendingScore': sale.units } }
+      }
+    })));
+  }
+
+  return recentSales.length;
+};
+
+// Instance method to find an image on the product or one of its variants
+productSchema.methods.findImage = function(imageId) {
+  const image = this.images.id(imageId);
+  if (image) {
+    return { image, images: this.images };
+  }
+  for (const variant of this.variants) {
+    const variantImage = variant.images.id(imageId);
+    if (variantImage) {
+      return { image: variantImage, images: variant.images };
+    }
+  }
+  return null;
+};
+
+// Make one image the primary image of its list
+productSchema.methods.setPrimaryImage = function(images, imageId) {
+  images.forEach(image => {
+    image.isPrimary = image._id.toString() === imageId.toString();
+  });
+};
+
+// Instance method to get a variant by id (null if missing or inactive)
+productSchema.methods.getVariant = function(variantId) {
+  if (!variantId) return null;
+  const variant = this.variants.id(variantId);
+  return variant && variant.isActive ? variant : null;
+};
+
+// Instance method to get the unit price, using the variant override when there is one
+productSchema.methods.getPrice = function(variant = null) {
+  return variant && variant.price !== undefined && variant.price !== null ? variant.price : this.price;
+};
+
+// Instance method to get stock on hand for the product or one of its variants,
+// in total or at one location
+productSchema.methods.getStock = function(variant = null, locationId = null) {
+  const inventory = variant ? variant.inventory : this.inventory;
+  if (!locationId) {
+    return inventory.quantity;
+  }
+  const entry = inventory.locations.find(stock => stock.location.toString() === locationId.toString());
+  return entry ? entry.quantity : 0;
+};
+
+// Instance method to check whether the product, or one of its variants, can be bought now
+productSchema.methods.isInStock = function(variant = null) {
+  if (!variant) return this.isAvailable;
+  return this.status === 'active' && variant.isActive && (!this.inventory.trackInventory || variant.inventory.quantity > 0);
+};
+
+// Instance method to list the items stock is kept for: each active variant, or the
+// product itself when it has no variants. Each item has its variant (or null), sku and inventory.
+productSchema.methods.getStockItems = function() {
+  if (this.hasVariants) {
+    return this.variants
+      .filter(variant => variant.isActive)
+      .map(variant => ({ variant, sku: variant.sku, inventory: variant.inventory }));
+  }
+  return [{ variant: null, sku: this.inventory.sku, inventory: this.inventory }];
+};
+
+// Instance method to list stock items at or below the low-stock threshold
+productSchema.methods.getLowStockItems = function() {
+  if (!this.inventory.trackInventory) return [];
+  return this.getStockItems().filter(item => item.inventory.quantity <= this.inventory.lowStockThreshold);
+};
+
+// Filter matching a product, or one of its variants, by a condition on its stock
+const matchStockItem = (productId, variantId, condition) => (variantId
+  ? { _id: productId, variants: { $elemMatch: { _id: variantId, ...condition } } }
+  : { _id: productId, ...condition });
+
+// Fields returned by stock updates
+const STOCK_PROJECTION = {
+  'inventory.quantity': 1,
+  'inventory.sku': 1,
+  'inventory.locations': 1,
+  'variants._id': 1,
+  'variants.sku': 1,
+  'variants.inventory': 1
+};
+
+// Give an item an empty stock entry for a location it holds nothing at yet
+const addLocationEntry = (Product, productId, variantId, locationId, session) => Product.updateOne(
+  matchStockItem(productId, variantId, { 'inventory.locations.location': { $ne: locationId } }),
+  { $push: { [variantId ? 'variants.$.inventory.locations' : 'inventory.locations']: { location: locationId, quantity: 0 } } },
+  { session, timestamps: false }
+);
+
+// Ledger fields describing an item's stock at a location after an update
+const describeStock = (product, variantId, locationId) => {
+  const variant = variantId ? product.variants.id(variantId) : null;
+  const inventory = variant ? variant.inventory : product.inventory;
+  const entry = inventory.locations.find(stock => stock.location.toString() === locationId.toString());
+  return {
+    product: product._id,
+    variant: variant ? variant._id : null,
+    sku: variant ? variant.sku : product.inventory.sku,
+    balanceAfter: inventory.quantity,
+    location: locationId,
+    locationBalanceAfter: entry ? entry.quantity : 0
+  };
+};
+
+// Static method to change stock at a location in a single atomic update (for a variant
+// when variantId is given; the item and product totals move with it). Without a
+// location the default location is used. Taking stock only succeeds while enough is
+// left there, so concurrent checkouts cannot oversell.
+// Throws "Insufficient inventory" when it is not. The change is recorded in the
+// inventory ledger with the given movement details ({ type, order, actor, reason })
+// and the ledger entry is returned (null if the product or variant no longer exists).
+productSchema.statics.adjustStock = async function(productId, variantId, quantityChange, { session = null, movement, location = null } = {}) {
+  const locationId = location || (await Location.getDefault().session(session))?._id;
+  if (!locationId) {
+    throw new Error('No stock location configured');
+  }
+
+  const required = quantityChange < 0 ? { $gte: -quantityChange } : null;
+  const stockAt = { location: locationId, ...(required && { quantity: required }) };
+  const item = variantId ? 'variants.$[variant].inventory' : 'inventory';
+  const arrayFilters = [{ 'entry.location': locationId }];
+  if (variantId) arrayFilters.push({ 'variant._id': variantId });
+
+  if (quantityChange > 0) {
+    await addLocationEntry(this, productId, variantId, locationId, session);
+  }
+
+  const product = await this.findOneAndUpdate(
+    matchStockItem(productId, variantId, { 'inventory.locations': { $elemMatch: stockAt } }),
+    {
+      $inc: {
+        'inventory.quantity': quantityChange,
+        ...(variantId && { [`${item}.quantity`]: quantityChange }),
+        [`${item}.locations.$[entry].quantity`]: quantityChange
+      }
+    },
+    { new: true, session, projection: STOCK_PROJECTION, arrayFilters }
+  );
+  if (!product) {
+    if (required) {
       throw new Error('Insufficient inventory');
     }
+    return null;
   }
-  return this.save();
+
+  return InventoryMovement.record({
+    ...movement,
+    ...describeStock(product, variantId, locationId),
+    quantity: quantityChange
+  }, { session });
 };
 
-// Instance method to add review
-productSchema.methods.addReview = function(userId, rating, comment) {
-  // Check if user already reviewed this product
-  const existingReview = this.reviews.find(review =>
-    review.user.toString() === userId.toString()
+// Static method to move stock of a product (or variant) between two locations in a
+// single atomic update; the item's total is unchanged. Throws "Insufficient inventory"
+// when the source location holds too little. Both sides are recorded in the ledger
+// as "transfer" movements ({ actor, reason }) and returned as { from, to }.
+productSchema.statics.transferStock = async function(productId, variantId, { from, to, quantity }, { session = null, movement = {} } = {}) {
+  const item = variantId ? 'variants.$[variant].inventory' : 'inventory';
+  const arrayFilters = [{ 'source.location': from }, { 'destination.location': to }];
+  if (variantId) arrayFilters.push({ 'variant._id': variantId });
+
+  await addLocationEntry(this, productId, variantId, to, session);
+
+  const product = await this.findOneAndUpdate(
+    matchStockItem(productId, variantId, { 'inventory.locations': { $elemMatch: { location: from, quantity: { $gte: quantity } } } }),
+    {
+      $inc: {
+        [`${item}.locations.$[source].quantity`]: -quantity,
+        [`${item}.locations.$[destination].quantity`]: quantity
+      }
+    },
+    { new: true, session, projection: STOCK_PROJECTION, arrayFilters }
   );
+  if (!product) {
+    throw new Error('Insufficient inventory');
+  }
+
+  const transfer = new mongoose.Types.ObjectId();
+  const details = { ...movement, type: 'transfer', transfer };
+  return {
+    from: await InventoryMovement.record({ ...details, ...describeStock(product, variantId, from), quantity: -quantity }, { session }),
+    to: await InventoryMovement.record({ ...details, ...describeStock(product, variantId, to), quantity }, { session })
+  };
+};
+
+// Static method to book stock from before stock locations at the default location.
+// Returns the number of products updated.
+productSchema.statics.migrateStockToLocations = async function() {
+  const unlocated = { 'inventory.quantity': { $gt: 0 }, 'inventory.locations.0': { $exists: false } };
+  const products = this.find({
+    $or: [
+      { 'variants.0': { $exists: false }, ...unlocated },
+      { variants: { $elemMatch: unlocated } }
+    ]
+  });
+
+  let migrated = 0;
+  for await (const product of products) {
+    try {
+      await product.save();
+      migrated++;
+    } catch (error) {
+      console.error(`Could not book stock of product ${product._id} at a location:`, error.message);
+    }
+  }
+  return migrated;
+};
+
+// Instance method to snapshot stock per item: variant id (or '' for the product
+// itself when it has no variants) -> { sku, quantity }
+productSchema.methods.getStockSnapshot = function() {
+  if (this.hasVariants) {
+    return new Map(this.variants.map(variant => [
+      variant._id.toString(),
+      { sku: variant.sku, quantity: variant.inventory.quantity }
+    ]));
+  }
+  return new Map([['', { sku: this.inventory.sku, quantity: this.inventory.quantity }]]);
+};
+
+// Instance method to find a user's review
+productSchema.methods.findReview = function(userId) {
+  return this.reviews.find(review => review.user.toString() === userId.toString());
+};
+
+// Instance method to add or edit a user's review. Either way it goes back into
+// the moderation queue until an admin approves it.
+productSchema.methods.addReview = function(userId, rating, comment, { isVerified = false } = {}) {
+  const existingReview = this.findReview(userId);
 
   if (existingReview) {
     existingReview.rating = rating;
     existingReview.comment = comment;
-    existingReview.createdAt = new Date();
+    existingReview.isVerified = isVerified;
+    existingReview.status = 'pending';
+    existingReview.updatedAt = new Date();
   } else {
-    this.reviews.push({ user: userId, rating, comment });
+    this.reviews.push({ user: userId, rating, comment, isVerified });
   }
 
-  // Update average rating
-  this.ratings.count = this.reviews.length;
-  this.ratings.average = this.reviews.reduce((sum, review) => sum + review.rating, 0) / this.reviews.length;
-
+  this.updateRatings();
   return this.save();
 };
 
+// Instance method to approve, hide or reply to a review
+productSchema.methods.moderateReview = function(reviewId, { status, reply }, moderatorId) {
+  const review = this.reviews.id(reviewId);
+  if (!review) {
+    return null;
+  }
+
+  if (status) {
+    review.status = status;
+    review.moderatedBy = moderatorId;
+    review.moderatedAt = new Date();
+  }
+  if (reply !== undefined) {
+    review.reply = reply
+      ? { comment: reply, repliedBy: moderatorId, repliedAt: new Date() }
+      : undefined;
+  }
+
+  this.updateRatings();
+  return review;
+};
+
+// Instance method to recalculate ratings from approved reviews
+productSchema.methods.updateRatings = function() {
+  const approved = this.reviews.filter(review => review.status === 'approved');
+
+  this.ratings.count = approved.length;
+  this.ratings.average = approved.length > 0
+    ? approved.reduce((sum, review) => sum + review.rating, 0) / approved.length
+    : 0;
+};
+
+// Transform output to leave out the stock held at each location, which is internal.
+// Customers still see the total in inventory.quantity; admin routes that need the
+// breakdown use toObject().
+productSchema.methods.toJSON = function() {
+  const productObject = this.toObject({ flattenMaps: true });
+  if (productObject.inventory) {
+    delete productObject.inventory.locations;
+  }
+  (productObject.variants || []).forEach(variant => {
+    if (variant.inventory) {
+      delete variant.inventory.locations;
+    }
+  });
+  return productObject;
+};
+
 module.exports = mongoose.model('Product', productSchema);
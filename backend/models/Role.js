@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ALL_PERMISSIONS, BUILT_IN_ROLES } = require('../config/roles');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters'],
+    match: [/^[a-z0-9_-]+$/, 'Role name can only contain letters, numbers, hyphens and underscores']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: {
+      values: [...PERMISSIONS, ALL_PERMISSIONS],
+      message: 'Invalid permission: {VALUE}'
+    }
+  }],
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check a permission
+roleSchema.methods.hasPermission = function(permission) {
+  return this.permissions.includes(ALL_PERMISSIONS) || this.permissions.includes(permission);
+};
+
+// Static method to create any missing built-in roles
+roleSchema.statics.ensureBuiltInRoles = async function() {
+  for (const definition of BUILT_IN_ROLES) {
+    await this.updateOne(
+      { name: definition.name },
+      { $setOnInsert: { ...definition, isSystem: true } },
+      { upsert: true }
+    );
+  }
+};
+
+// Static method to drop permissions that no longer exist from stored roles
+roleSchema.statics.removeRetiredPermissions = function() {
+  return this.updateMany(
+    { permissions: { $elemMatch: { $nin: [...PERMISSIONS, ALL_PERMISSIONS] } } },
+    { $pull: { permissions: { $nin: [...PERMISSIONS, ALL_PERMISSIONS] } } }
+  );
+};
+
+// Static method to find a role by name
+roleSchema.statics.findByName = function(name) {
+  return this.findOne({ name: name.toLowerCase() });
+};
+
+module.exports = mongoose.model('Role', roleSchema);
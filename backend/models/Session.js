@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Id of the only refresh token in this family that may still be used
+  refreshTokenId: {
+    type: String,
+    required: true
+  },
+  device: {
+    type: String,
+    maxlength: 100,
+    trim: true
+  },
+  ipAddress: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'user_revoked', 'token_reuse', 'password_reset', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to find a user's active sessions
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session for a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Instance method to revoke this session (and with it the whole token family)
+sessionSchema.methods.revoke = function(reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Transform output to exclude token id
+sessionSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject();
+  delete sessionObject.refreshTokenId;
+  return sessionObject;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
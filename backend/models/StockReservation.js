@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+
+// Stock held for an unpaid order. The stock is taken off the products when the
+// reservation is made, kept when the payment completes (commit) and put back
+// when the reservation expires, the payment fails or the order is cancelled (release),
+// or when the order is cancelled after it was paid (restock).
+const stockReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Null for reservations made before stock locations (the default location is used)
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['held', 'committed', 'released'],
+    default: 'held'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  committedAt: Date,
+  releasedAt: Date,
+  releaseReason: {
+    type: String,
+    enum: ['expired', 'payment_failed', 'cancelled']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for whether the stock is still held
+stockReservationSchema.virtual('isActive').get(function() {
+  return this.status === 'held' && this.expiresAt > new Date();
+});
+
+// Take (direction -1) or return (direction 1) the stock for reservation items at
+// their locations. Products that were deleted or stopped tracking stock are
+// skipped. If taking stock fails part way, whatever was already taken is returned
+// (inside a transaction the abort undoes it anyway). Each change is recorded in
+// the inventory ledger as the given movement ({ type, order, reason }).
+const adjustStock = async (items, direction, movement, session = null) => {
+  const Product = mongoose.model('Product');
+  const adjusted = [];
+
+  try {
+    for (const item of items) {
+      const product = await Product.findById(item.product).select('inventory.trackInventory variants._id').session(session);
+      if (!product || !product.inventory.trackInventory || (item.variant && !product.variants.id(item.variant))) {
+        continue;
+      }
+      await Product.adjustStock(item.product, item.variant, direction * item.quantity, { session, movement, location: item.location });
+      adjusted.push(item);
+    }
+  } catch (error) {
+    if (direction < 0) {
+      await adjustStock(adjusted, 1, { ...movement, type: 'release', reason: 'Rolled back: an item was out of stock' }, session);
+    }
+    throw error;
+  }
+};
+
+// Static method to take stock for an order's items and hold it for the given minutes.
+// Throws "Insufficient inventory" (and takes nothing) when an item is out of stock.
+stockReservationSchema.statics.reserve = async function(order, minutes, { session = null } = {}) {
+  const items = order.items.map(item => ({
+    product: item.product,
+    variant: item.variant || null,
+    location: item.location || null,
+    quantity: item.quantity
+  }));
+
+  const movement = { type: 'sale', order: order._id };
+  await adjustStock(items, -1, movement, session);
+
+  try {
+    const [reservation] = await this.create([{
+      order: order._id,
+      user: order.user,
+      items,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    }], { session });
+    return reservation;
+  } catch (error) {
+    await adjustStock(items, 1, { ...movement, type: 'release', reason: 'Rolled back: reservation could not be saved' }, session);
+    throw error;
+  }
+};
+
+// Move the reservation from one status to another, only if no one else changed it
+// first (e.g. the expiry job racing a payment webhook). Returns false when it lost.
+stockReservationSchema.methods.transition = async function(from, changes, { session = null } = {}) {
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, status: from },
+    { $set: changes },
+    { session }
+  );
+  if (modifiedCount === 0) {
+    return false;
+  }
+  this.set(changes);
+  return true;
+};
+
+// Take the stock again for a released reservation, moving it to the given status.
+// On failure (e.g. "Insufficient inventory") the reservation stays released.
+const retake = async (reservation, changes, session = null) => {
+  const released = {
+    status: 'released',
+    releasedAt: reservation.releasedAt,
+    releaseReason: reservation.releaseReason,
+    expiresAt: reservation.expiresAt
+  };
+  if (!await reservation.transition('released', changes, { session })) {
+    return false;
+  }
+
+  try {
+    await adjustStock(reservation.items, -1, { type: 'sale', order: reservation.order, reason: 'Reserved again after release' }, session);
+  } catch (error) {
+    await reservation.transition(changes.status, released, { session });
+    throw error;
+  }
+  return true;
+};
+
+// Instance method to keep holding the stock for at least the given minutes from now,
+// taking it again if the reservation had been released
+stockReservationSchema.methods.hold = async function(minutes, { session = null } = {}) {
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+  if (this.status === 'released') {
+    await retake(this, { status: 'held', expiresAt, releasedAt: null, releaseReason: null }, session);
+  } else if (this.status === 'held' && this.expiresAt < expiresAt) {
+    await this.transition('held', { expiresAt }, { session });
+  }
+  return this;
+};
+
+// Instance method to keep the stock for good once the order is paid. A payment
+// that arrives after the reservation was released takes the stock again.
+stockReservationSchema.methods.commit = async function({ session = null } = {}) {
+  const changes = { status: 'committed', committedAt: new Date() };
+
+  if (this.status === 'held' && await this.transition('held', changes, { session })) {
+    return this;
+  }
+  if (this.status === 'released' && await retake(this, changes, session)) {
+    return this;
+  }
+  if (this.status === 'committed') {
+    return this;
+  }
+
+  // Lost a race with another update; try again from the current state
+  const current = await this.constructor.findById(this._id).session(session);
+  if (!current) {
+    throw new Error('Stock reservation no longer exists');
+  }
+  this.set(current.toObject());
+  return this.commit({ session });
+};
+
+// Instance method to put held stock back. Returns false when nothing was held.
+stockReservationSchema.methods.release = async function(reason, { session = null } = {}) {
+  const released = await this.transition('held', {
+    status: 'released',
+    releasedAt: new Date(),
+    releaseReason: reason
+  }, { session });
+  if (!released) {
+    return false;
+  }
+
+  await adjustStock(this.items, 1, { type: 'release', order: this.order, reason }, session);
+  return true;
+};
+
+// Instance method to put back the stock kept for a paid order that is cancelled,
+// recorded as the given cancellation ({ actor, reason }). Returns false when the
+// stock was not committed.
+stockReservationSchema.methods.restock = async function({ actor = null, reason } = {}, { session = null } = {}) {
+  const restocked = await this.transition('committed', {
+    status: 'released',
+    releasedAt: new Date(),
+    releaseReason: 'cancelled'
+  }, { session });
+  if (!restocked) {
+    return false;
+  }
+
+  await adjustStock(this.items, 1, { type: 'cancellation', order: this.order, actor, reason }, session);
+  return true;
+};
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A customer's request to be emailed when an out-of-stock product (or one of its
+// variants) can be bought again. Subscriptions are notified once; subscribing
+// again after that starts a new wait.
+const stockSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Null waits for any variant of the product
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'notified', 'cancelled'],
+    default: 'pending'
+  },
+  notifiedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+stockSubscriptionSchema.index({ product: 1, variant: 1, user: 1 }, { unique: true });
+stockSubscriptionSchema.index({ status: 1, product: 1 });
+stockSubscriptionSchema.index({ user: 1, status: 1 });
+
+// Static method to subscribe a user, or renew a subscription that was already notified
+stockSubscriptionSchema.statics.subscribe = function(userId, productId, variantId = null) {
+  return this.findOneAndUpdate(
+    { product: productId, variant: variantId, user: userId },
+    { $set: { status: 'pending' }, $unset: { notifiedAt: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to count pending subscriptions per stock item, keyed "<product>:<variant>"
+stockSubscriptionSchema.statics.countPending = async function(productIds) {
+  const counts = await this.aggregate([
+    { $match: { status: 'pending', product: { $in: productIds } } },
+    { $group: { _id: { product: '$product', variant: '$variant' }, count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [`${entry._id.product}:${entry._id.variant || ''}`, entry.count]));
+};
+
+// Instance method to mark the subscription notified, only if it is still pending
+// (so a subscriber is never emailed twice). Returns false when it was not pending.
+stockSubscriptionSchema.methods.markNotified = async function() {
+  const notifiedAt = new Date();
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, status: 'pending' },
+    { $set: { status: 'notified', notifiedAt } }
+  );
+  if (modifiedCount === 0) {
+    return false;
+  }
+  this.set({ status: 'notified', notifiedAt });
+  return true;
+};
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyTOTP, hashRecoveryCode } = require('../services/twoFactorService');
+
+// Login throttling settings
+const BACKOFF_AFTER_ATTEMPTS = 3; // start delaying retries after this many failures
+const MAX_LOGIN_ATTEMPTS = 5; // lock the account after this many failures
+const BASE_LOCK_TIME = 15 * 60 * 1000; // 15 minutes, doubled for each repeat lockout
+const MAX_LOCK_TIME = 24 * 60 * 60 * 1000; // 24 hours
+
+// Address book settings
+const MAX_ADDRESSES = 20;
+const ADDRESS_FIELDS = ['label', 'firstName', 'lastName', 'email', 'phone', 'address', 'city', 'state', 'postalCode'];
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -22,16 +34,43 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Optional for accounts created through a social login provider
   password: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.identities || this.identities.length === 0;
+    },
     minlength: 6
   },
+  identities: [{
+    provider: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   phone: {
     type: String,
     maxlength: 15,
     trim: true
   },
+  // Admin role granting named permissions; users without a role are customers
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
+  // Kept in sync with role for older clients: true for any user with a role
   isAdmin: {
     type: Boolean,
     default: false
@@ -40,6 +79,44 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  deletedAt: Date,
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  passwordResetToken: String,
+  passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  magicLinkToken: String,
+  magicLinkExpires: Date,
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lastFailedIp: String,
+    lockUntil: Date,
+    lockCount: {
+      type: Number,
+      default: 0
+    },
+    lockedAt: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    pendingSecret: String,
+    recoveryCodes: [String],
+    lastUsedStep: Number,
+    enabledAt: Date
+  },
   cart: {
     items: [{
       product: {
@@ -47,6 +124,11 @@ const userSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
       },
+      // Id of the product variant (size/colour), if the product has variants
+      variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      },
       quantity: {
         type: Number,
         required: true,
@@ -65,6 +147,63 @@ const userSchema = new mongoose.Schema({
   wishlist: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
+  }],
+  addresses: [{
+    label: {
+      type: String,
+      maxlength: 30,
+      trim: true
+    },
+    firstName: {
+      type: String,
+      required: true,
+      maxlength: 50,
+      trim: true
+    },
+    lastName: {
+      type: String,
+      required: true,
+      maxlength: 50,
+      trim: true
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    phone: {
+      type: String,
+      required: true,
+      maxlength: 15
+    },
+    address: {
+      type: String,
+      required: true,
+      maxlength: 200
+    },
+    city: {
+      type: String,
+      required: true,
+      maxlength: 50
+    },
+    state: {
+      type: String,
+      required: true,
+      maxlength: 50
+    },
+    postalCode: {
+      type: String,
+      maxlength: 10
+    },
+    isDefaultShipping: {
+      type: Boolean,
+      default: false
+    },
+    isDefaultBilling: {
+      type: Boolean,
+      default: false
+    }
   }]
 }, {
   timestamps: true
@@ -78,30 +217,211 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Keep isAdmin in sync with role assignment
+userSchema.pre('save', function(next) {
+  if (this.isModified('role')) {
+    this.isAdmin = Boolean(this.role);
+  }
+  next();
+});
+
+// Method to check a permission (role must be populated)
+userSchema.methods.hasPermission = function(permission) {
+  const role = this.role;
+  if (!role || typeof role.hasPermission !== 'function') {
+    return false;
+  }
+  return role.hasPermission(permission);
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) {
+    return false;
+  }
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to link a social login identity
+userSchema.methods.linkIdentity = function(provider, subject, email) {
+  const alreadyLinked = this.identities.some(identity =>
+    identity.provider === provider && identity.subject === subject
+  );
+
+  if (!alreadyLinked) {
+    this.identities.push({ provider, subject, email, linkedAt: new Date() });
+  }
+  return this;
+};
+
+// Method to generate an email verification token (only the hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+  return verificationToken;
+};
+
+// Method to mark email as verified
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  return this.save();
+};
+
+// Method to generate a password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+  return resetToken;
+};
+
+// Method to set a new password from a reset token and consume the token
+userSchema.methods.resetPassword = function(newPassword) {
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.resetLoginAttempts();
+  return this.save();
+};
+
+// Method to generate a passwordless sign-in token (only the hash is stored)
+userSchema.methods.createMagicLinkToken = function() {
+  const magicToken = crypto.randomBytes(32).toString('hex');
+
+  this.magicLinkToken = crypto.createHash('sha256').update(magicToken).digest('hex');
+  this.magicLinkExpires = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+
+  return magicToken;
+};
+
+// Method to verify a TOTP code against the active 2FA secret (codes cannot be replayed)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const step = verifyTOTP(this.twoFactor.secret, code, this.twoFactor.lastUsedStep);
+  if (step === null) {
+    return false;
+  }
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to consume a one-time recovery code
+userSchema.methods.useRecoveryCode = function(code) {
+  const hashedCode = hashRecoveryCode(code);
+  const index = this.twoFactor.recoveryCodes.indexOf(hashedCode);
+  if (index === -1) {
+    return false;
+  }
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Method to verify either a TOTP code or a recovery code
+userSchema.methods.verifySecondFactor = function({ code, recoveryCode }) {
+  if (code) {
+    return this.verifyTwoFactorCode(code);
+  }
+  if (recoveryCode) {
+    return this.useRecoveryCode(recoveryCode);
+  }
+  return false;
+};
+
+// Index for social login lookups
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
+
+// Virtual for temporary lockout or back-off in effect
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.loginSecurity?.lockUntil && this.loginSecurity.lockUntil > new Date());
+});
+
+// Method to record a failed login. Applies exponential back-off after a few
+// failures and a temporary lockout (doubling on each repeat) after too many.
+// Returns { locked, lockUntil } where locked means a full lockout just started.
+userSchema.methods.registerFailedLogin = async function(ipAddress) {
+  const now = new Date();
+
+  // Increment atomically so concurrent attempts from many IPs are all counted
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': now, 'loginSecurity.lastFailedIp': ipAddress }
+    },
+    { new: true }
+  );
+
+  const { failedAttempts, lockCount = 0 } = updated.loginSecurity;
+  let lockUntil = null;
+  let locked = false;
+
+  if (failedAttempts >= MAX_LOGIN_ATTEMPTS) {
+    const lockTime = Math.min(BASE_LOCK_TIME * 2 ** lockCount, MAX_LOCK_TIME);
+    lockUntil = new Date(now.getTime() + lockTime);
+    locked = true;
+
+    await this.constructor.updateOne({ _id: this._id }, {
+      $set: {
+        'loginSecurity.lockUntil': lockUntil,
+        'loginSecurity.lockedAt': now,
+        'loginSecurity.lockCount': lockCount + 1,
+        'loginSecurity.failedAttempts': 0
+      }
+    });
+  } else if (failedAttempts >= BACKOFF_AFTER_ATTEMPTS) {
+    const delay = 1000 * 2 ** (failedAttempts - BACKOFF_AFTER_ATTEMPTS + 1); // 2s, 4s, ...
+    lockUntil = new Date(now.getTime() + delay);
+
+    await this.constructor.updateOne({ _id: this._id }, {
+      $set: { 'loginSecurity.lockUntil': lockUntil }
+    });
+  }
+
+  return { locked, lockUntil };
+};
+
+// Method to clear failed login state and any lockout (call save() afterwards)
+userSchema.methods.resetLoginAttempts = function() {
+  this.loginSecurity = { failedAttempts: 0, lockCount: 0 };
+};
+
+// Method to find the cart line for a product (and variant)
+userSchema.methods.findCartItemIndex = function(productId, variantId = null) {
+  const productKey = (productId._id || productId).toString();
+  const variantKey = variantId ? variantId.toString() : null;
+  return this.cart.items.findIndex(item =>
+    (item.product._id || item.product).toString() === productKey &&
+    (item.variant ? item.variant.toString() : null) === variantKey
+  );
+};
+
 // Method to get cart total
 userSchema.methods.getCartTotal = async function() {
-  await this.populate('cart.items.product', 'price');
+  await this.populate('cart.items.product', 'price variants');
   return this.cart.items.reduce((total, item) => {
-    return total + (item.product.price * item.quantity);
+    const variant = item.variant ? item.product.variants.id(item.variant) : null;
+    return total + (item.product.getPrice(variant) * item.quantity);
   }, 0);
 };
 
 // Method to add item to cart
-userSchema.methods.addToCart = function(productId, quantity = 1) {
-  const cartItemIndex = this.cart.items.findIndex(item =>
-    item.product.toString() === productId.toString()
-  );
+userSchema.methods.addToCart = function(productId, quantity = 1, variantId = null) {
+  const cartItemIndex = this.findCartItemIndex(productId, variantId);
 
   if (cartItemIndex > -1) {
     this.cart.items[cartItemIndex].quantity += quantity;
   } else {
     this.cart.items.push({
       product: productId,
+      variant: variantId,
       quantity,
       addedAt: new Date()
     });
@@ -112,23 +432,22 @@ userSchema.methods.addToCart = function(productId, quantity = 1) {
 };
 
 // Method to remove item from cart
-userSchema.methods.removeFromCart = function(productId) {
-  this.cart.items = this.cart.items.filter(item =>
-    item.product.toString() !== productId.toString()
-  );
+userSchema.methods.removeFromCart = function(productId, variantId = null) {
+  const cartItemIndex = this.findCartItemIndex(productId, variantId);
+  if (cartItemIndex > -1) {
+    this.cart.items.splice(cartItemIndex, 1);
+  }
   this.cart.lastUpdated = new Date();
   return this.save();
 };
 
 // Method to update cart item quantity
-userSchema.methods.updateCartItemQuantity = function(productId, quantity) {
-  const cartItem = this.cart.items.find(item =>
-    item.product.toString() === productId.toString()
-  );
+userSchema.methods.updateCartItemQuantity = function(productId, quantity, variantId = null) {
+  const cartItem = this.cart.items[this.findCartItemIndex(productId, variantId)];
 
   if (cartItem) {
     if (quantity <= 0) {
-      return this.removeFromCart(productId);
+      return this.removeFromCart(productId, variantId);
     }
     cartItem.quantity = quantity;
     this.cart.lastUpdated = new Date();
@@ -145,19 +464,156 @@ userSchema.methods.clearCart = function() {
   return this.save();
 };
 
+// Adjust the wishlist counters of products by change
+const updateWishlistCounts = (productIds, change) => {
+  if (productIds.length === 0) {
+    return Promise.resolve();
+  }
+  return mongoose.model('Product').updateMany(
+    { _id: { $in: productIds } },
+    { $inc: { 'metrics.wishlistCount': change } }
+  );
+};
+
 // Method to add to wishlist
-userSchema.methods.addToWishlist = function(productId) {
+userSchema.methods.addToWishlist = async function(productId) {
   if (!this.wishlist.includes(productId)) {
     this.wishlist.push(productId);
-    return this.save();
+    await this.save();
+    await updateWishlistCounts([productId], 1);
   }
   return this;
 };
 
 // Method to remove from wishlist
-userSchema.methods.removeFromWishlist = function(productId) {
+userSchema.methods.removeFromWishlist = async function(productId) {
+  const wasListed = this.wishlist.some(id => id.toString() === productId.toString());
   this.wishlist = this.wishlist.filter(id => id.toString() !== productId.toString());
-  return this.save();
+  await this.save();
+  if (wasListed) {
+    await updateWishlistCounts([productId], -1);
+  }
+  return this;
+};
+
+// Make one address the only default of a kind ('shipping' or 'billing')
+userSchema.methods.setDefaultAddress = function(addressId, type) {
+  const flag = type === 'billing' ? 'isDefaultBilling' : 'isDefaultShipping';
+  this.addresses.forEach(address => {
+    address[flag] = address._id.toString() === addressId.toString();
+  });
+};
+
+// Method to add an address to the address book
+userSchema.methods.addAddress = function(data) {
+  if (this.addresses.length >= MAX_ADDRESSES) {
+    throw new Error(`Address book is limited to ${MAX_ADDRESSES} addresses`);
+  }
+
+  const address = {};
+  ADDRESS_FIELDS.forEach(field => {
+    if (data[field] !== undefined) address[field] = data[field];
+  });
+  this.addresses.push(address);
+
+  const added = this.addresses[this.addresses.length - 1];
+  // The first address becomes the default for both shipping and billing
+  if (data.isDefaultShipping || this.addresses.length === 1) {
+    this.setDefaultAddress(added._id, 'shipping');
+  }
+  if (data.isDefaultBilling || this.addresses.length === 1) {
+    this.setDefaultAddress(added._id, 'billing');
+  }
+
+  return added;
+};
+
+// Method to update an address in the address book (returns null if not found)
+userSchema.methods.updateAddress = function(addressId, data) {
+  const address = this.addresses.id(addressId);
+  if (!address) {
+    return null;
+  }
+
+  ADDRESS_FIELDS.forEach(field => {
+    if (data[field] !== undefined) address[field] = data[field];
+  });
+  if (data.isDefaultShipping) {
+    this.setDefaultAddress(address._id, 'shipping');
+  }
+  if (data.isDefaultBilling) {
+    this.setDefaultAddress(address._id, 'billing');
+  }
+
+  return address;
+};
+
+// Method to remove an address, handing its default flags to the first remaining address
+userSchema.methods.removeAddress = function(addressId) {
+  const address = this.addresses.id(addressId);
+  if (!address) {
+    return false;
+  }
+
+  const { isDefaultShipping, isDefaultBilling } = address;
+  this.addresses.pull(address._id);
+
+  const next = this.addresses[0];
+  if (next && isDefaultShipping) next.isDefaultShipping = true;
+  if (next && isDefaultBilling) next.isDefaultBilling = true;
+
+  return true;
+};
+
+// Get a saved address as a plain object for an order's shipping/billing snapshot.
+// Pass an id, or 'shipping'/'billing' for the default address of that kind.
+userSchema.methods.getOrderAddress = function(addressIdOrType) {
+  let address;
+  if (addressIdOrType === 'shipping') {
+    address = this.addresses.find(entry => entry.isDefaultShipping);
+  } else if (addressIdOrType === 'billing') {
+    address = this.addresses.find(entry => entry.isDefaultBilling);
+  } else {
+    address = this.addresses.id(addressIdOrType);
+  }
+
+  if (!address) {
+    return null;
+  }
+
+  const { firstName, lastName, email, phone, address: street, city, state, postalCode } = address;
+  return { firstName, lastName, email, phone, address: street, city, state, postalCode };
+};
+
+// Method to erase personal data while keeping the document for order/payment references
+userSchema.methods.anonymize = async function() {
+  const wishlist = [...this.wishlist];
+
+  this.firstName = 'Deleted';
+  this.lastName = 'User';
+  this.email = `deleted-${this._id}@example.com`;
+  this.password = crypto.randomBytes(32).toString('hex');
+  this.phone = undefined;
+  this.identities = [];
+  this.cart = { items: [], lastUpdated: new Date() };
+  this.wishlist = [];
+  this.addresses = [];
+  this.role = null;
+  this.isActive = false;
+  this.isEmailVerified = false;
+  this.emailVerifiedAt = undefined;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.magicLinkToken = undefined;
+  this.magicLinkExpires = undefined;
+  this.twoFactor = { enabled: false };
+  this.loginSecurity = { failedAttempts: 0, lockCount: 0 };
+  this.deletedAt = new Date();
+  await this.save();
+  await updateWishlistCounts(wishlist, -1);
+  return this;
 };
 
 // Static method to find user by email
@@ -165,10 +621,75 @@ userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find user by a linked social login identity
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject } }
+  });
+};
+
+// Static method to move legacy isAdmin users without a role to the given role
+userSchema.statics.migrateAdminsToRole = function(roleId) {
+  return this.updateMany(
+    { isAdmin: true, $or: [{ role: null }, { role: { $exists: false } }] },
+    { $set: { role: roleId } }
+  );
+};
+
+// Static method to treat accounts created before email verification existed as
+// verified, so existing customers can keep ordering
+userSchema.statics.grandfatherEmailVerification = function() {
+  return this.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true } }
+  );
+};
+
+// Static method to find user by a raw (unhashed) email verification token
+userSchema.statics.findByVerificationToken = function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
+// Static method to find user by a raw (unhashed) password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Static method to find user by a raw magic link token and consume it atomically
+userSchema.statics.consumeMagicLinkToken = function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOneAndUpdate(
+    { magicLinkToken: hashedToken, magicLinkExpires: { $gt: new Date() } },
+    { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+    { new: true }
+  );
+};
+
 // Transform output to exclude password
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.magicLinkToken;
+  delete userObject.magicLinkExpires;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt,
+      recoveryCodesRemaining: (userObject.twoFactor.recoveryCodes || []).length
+    };
+  }
   return userObject;
 };
 
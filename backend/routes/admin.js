@@ -1,17 +1,30 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { once } = require('events');
+const jwt = require('jsonwebtoken');
 const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Payment = require('../models/Payment');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const Role = require('../models/Role');
+const Category = require('../models/Category');
+const Impersonation = require('../models/Impersonation');
+const InventoryMovement = require('../models/InventoryMovement');
+const Location = require('../models/Location');
+const { PERMISSIONS } = require('../config/roles');
+const { authenticate, requirePermission, generateImpersonationToken } = require('../middleware/auth');
+const productCatalogService = require('../services/productCatalogService');
+const { listLowStockItems } = require('../services/stockAlertService');
+const { runInTransaction } = require('../services/transactionService');
+const { sendVerificationEmail } = require('../services/emailService');
 
 const router = express.Router();
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
 // @access  Private/Admin
-router.get('/dashboard', [authenticate, requireAdmin], async (req, res) => {
+router.get('/dashboard', [authenticate, requirePermission('dashboard:view')], async (req, res) => {
   try {
     const [
       totalUsers,
@@ -74,7 +87,7 @@ router.get('/dashboard', [authenticate, requireAdmin], async (req, res) => {
 // @access  Private/Admin
 router.get('/users', [
   authenticate,
-  requireAdmin,
+  requirePermission('users:read'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('search').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Search query cannot exceed 100 characters'),
@@ -145,7 +158,7 @@ router.get('/users', [
 // @access  Private/Admin
 router.get('/users/:id', [
   authenticate,
-  requireAdmin,
+  requirePermission('users:read'),
   param('id').isMongoId().withMessage('Valid user ID required')
 ], async (req, res) => {
   try {
@@ -160,6 +173,7 @@ router.get('/users/:id', [
 
     const user = await User.findById(req.params.id)
       .select('-password')
+      .populate('role', 'name permissions')
       .populate('cart.items.product', 'title price images')
       .populate('wishlist', 'title price images');
 
@@ -197,14 +211,15 @@ router.get('/users/:id', [
 // @access  Private/Admin
 router.put('/users/:id', [
   authenticate,
-  requireAdmin,
+  requirePermission('users:manage'),
   param('id').isMongoId().withMessage('Valid user ID required'),
   body('firstName').optional().trim().isLength({ min: 1, max: 50 }).withMessage('First name cannot exceed 50 characters'),
   body('lastName').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Last name cannot exceed 50 characters'),
   body('email').optional().isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('phone').optional().isLength({ min: 10, max: 15 }).withMessage('Phone number must be between 10 and 15 characters'),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
-  body('isAdmin').optional().isBoolean().withMessage('isAdmin must be a boolean')
+  body('role').optional({ nullable: true }).isMongoId().withMessage('Role must be a valid role ID or null'),
+  body('unlockAccount').optional().isBoolean().withMessage('unlockAccount must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -225,7 +240,15 @@ router.put('/users/:id', [
       });
     }
 
-    const allowedFields = ['firstName', 'lastName', 'email', 'phone', 'isActive', 'isAdmin'];
+    // Staff accounts can only be edited by someone who can manage roles
+    if (user.role && !req.user.hasPermission('roles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Editing a user with an admin role requires permission: roles:manage'
+      });
+    }
+
+    const allowedFields = ['firstName', 'lastName', 'email', 'phone', 'isActive'];
     const updates = {};
 
     allowedFields.forEach(field => {
@@ -245,13 +268,77 @@ router.put('/users/:id', [
       }
     }
 
+    // Changing a user's role requires permission to manage roles
+    if (req.body.role !== undefined) {
+      if (!req.user.hasPermission('roles:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Requires permission: roles:manage'
+        });
+      }
+
+      const newRoleId = req.body.role || null;
+
+      if (newRoleId) {
+        const role = await Role.findById(newRoleId);
+        if (!role) {
+          return res.status(400).json({
+            success: false,
+            message: 'Role not found'
+          });
+        }
+      }
+
+      // Never leave the store without an owner
+      const ownerRole = await Role.findByName('owner');
+      const isLeavingOwner = ownerRole && user.role && user.role.equals(ownerRole._id) &&
+        (!newRoleId || newRoleId.toString() !== ownerRole._id.toString());
+
+      if (isLeavingOwner) {
+        const ownerCount = await User.countDocuments({ role: ownerRole._id, isActive: true });
+        if (ownerCount <= 1) {
+          return res.status(400).json({
+            success: false,
+            message: 'Cannot remove the last owner'
+          });
+        }
+      }
+
+      user.role = newRoleId;
+    }
+
     Object.assign(user, updates);
+
+    // A new email address has to be verified by the user, as on a profile change
+    let verificationToken = null;
+    if (user.isModified('email')) {
+      user.isEmailVerified = false;
+      user.emailVerifiedAt = undefined;
+      verificationToken = user.createEmailVerificationToken();
+    }
+
+    // Clear failed login attempts and any lockout
+    if (req.body.unlockAccount === true) {
+      user.resetLoginAttempts();
+    }
+
     await user.save();
 
+    if (verificationToken) {
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (emailError) {
+        console.error('Failed to send verification email:', emailError);
+        // Don't fail the update if email fails; the user can request a resend
+      }
+    }
+
     res.json({
       success: true,
-      message: 'User updated successfully',
-      data: { user: { ...user.toObject(), password: undefined } }
+      message: verificationToken
+        ? 'User updated successfully. A verification link was sent to the new email address.'
+        : 'User updated successfully',
+      data: { user }
     });
   } catch (error) {
     console.error('Update user error:', error);
@@ -267,7 +354,7 @@ router.put('/users/:id', [
 // @access  Private/Admin
 router.delete('/users/:id', [
   authenticate,
-  requireAdmin,
+  requirePermission('users:manage'),
   param('id').isMongoId().withMessage('Valid user ID required')
 ], async (req, res) => {
   try {
@@ -297,6 +384,14 @@ router.delete('/users/:id', [
       });
     }
 
+    // Staff accounts can only be deleted by someone who can manage roles
+    if (user.role && !req.user.hasPermission('roles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Deleting a user with an admin role requires permission: roles:manage'
+      });
+    }
+
     // Soft delete
     user.isActive = false;
     await user.save();
@@ -314,12 +409,192 @@ router.delete('/users/:id', [
   }
 });
 
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Start acting as a customer with a restricted access token
+// @access  Private/Admin
+router.post('/users/:id/impersonate', [
+  authenticate,
+  requirePermission('users:impersonate'),
+  param('id').isMongoId().withMessage('Valid user ID required'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot impersonate yourself'
+      });
+    }
+
+    // Staff accounts can't be impersonated (it would be a way around permissions)
+    if (user.role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot impersonate a user with an admin role'
+      });
+    }
+
+    const impersonation = new Impersonation({
+      admin: req.user._id,
+      user: user._id,
+      reason: req.body.reason,
+      ipAddress: req.ip,
+      userAgent: (req.get('User-Agent') || '').substring(0, 500),
+      expiresAt: new Date()
+    });
+
+    const token = generateImpersonationToken(user._id, req.user._id, impersonation._id);
+    const { exp } = jwt.decode(token);
+    impersonation.expiresAt = new Date(exp * 1000);
+    await impersonation.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Impersonation started',
+      data: {
+        token,
+        impersonation,
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting impersonation'
+    });
+  }
+});
+
+// @route   GET /api/admin/impersonations
+// @desc    Get the impersonation audit trail
+// @access  Private/Admin
+router.get('/impersonations', [
+  authenticate,
+  requirePermission('users:read'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('admin').optional().isMongoId().withMessage('Valid admin ID required'),
+  query('user').optional().isMongoId().withMessage('Valid user ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.admin) filter.admin = req.query.admin;
+    if (req.query.user) filter.user = req.query.user;
+
+    const impersonations = await Impersonation.find(filter)
+      .populate('admin', 'firstName lastName email')
+      .populate('user', 'firstName lastName email')
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Impersonation.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        impersonations,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get impersonations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving impersonations'
+    });
+  }
+});
+
+// @route   POST /api/admin/impersonations/:id/stop
+// @desc    End an impersonation (e.g. one left open on another device)
+// @access  Private/Admin
+router.post('/impersonations/:id/stop', [
+  authenticate,
+  requirePermission('users:impersonate'),
+  param('id').isMongoId().withMessage('Valid impersonation ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const impersonation = await Impersonation.findById(req.params.id);
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation not found'
+      });
+    }
+
+    await impersonation.stop(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Impersonation stopped',
+      data: { impersonation }
+    });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error stopping impersonation'
+    });
+  }
+});
+
 // @route   GET /api/admin/orders
 // @desc    Get all orders (Admin only)
 // @access  Private/Admin
 router.get('/orders', [
   authenticate,
-  requireAdmin,
+  requirePermission('orders:read'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('status').optional().isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid status'),
@@ -392,11 +667,11 @@ router.get('/orders', [
 // @access  Private/Admin
 router.get('/products', [
   authenticate,
-  requireAdmin,
+  requirePermission('products:read'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('status').optional().isIn(['active', 'inactive', 'discontinued']).withMessage('Invalid status'),
-  query('category').optional().isIn(['electronics', 'fashion', 'home', 'sports', 'books', 'beauty', 'toys', 'automotive']).withMessage('Invalid category'),
+  query('category').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Category must be a category slug or ID'),
   query('search').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Search query cannot exceed 100 characters')
 ], async (req, res) => {
   try {
@@ -421,13 +696,22 @@ router.get('/products', [
       filter.status = status;
     }
     if (category) {
-      filter.category = category;
+      const categoryDoc = await Category.findBySlugOrId(category);
+      if (!categoryDoc) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category'
+        });
+      }
+      filter.category = { $in: await Category.getSubtreeIds(categoryDoc._id) };
     }
     if (search) {
       filter.$text = { $search: search };
     }
 
     const products = await Product.find(filter)
+      .select('+metrics.revenue')
+      .populate('category', 'name slug')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -438,7 +722,8 @@ router.get('/products', [
     res.json({
       success: true,
       data: {
-        products,
+        // Admins also see the stock held at each location
+        products: products.map(product => product.toObject({ flattenMaps: true })),
         pagination: {
           page,
           limit,
@@ -458,4 +743,1243 @@ router.get('/products', [
   }
 });
 
+// @route   POST /api/admin/products/import
+// @desc    Create/update products in bulk from a CSV or JSON file, keyed by inventory.sku
+// @access  Private/Admin
+router.post('/products/import', [
+  authenticate,
+  requirePermission('products:write'),
+  express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' }),
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let records;
+    if (req.is(['text/csv', 'application/csv'])) {
+      try {
+        records = productCatalogService.parseCsv(req.body || '');
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    } else if (req.is('application/json')) {
+      records = Array.isArray(req.body) ? req.body : req.body.products;
+    }
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV file (text/csv) or a JSON array of products (application/json)'
+      });
+    }
+
+    if (records.length > productCatalogService.MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Imports are limited to ${productCatalogService.MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const result = await productCatalogService.importProducts(records, {
+      userId: req.user._id,
+      dryRun
+    });
+
+    res.status(result.summary.failed > 0 ? 422 : 200).json({
+      success: result.summary.failed === 0,
+      message: dryRun
+        ? `Dry run: ${result.summary.total - result.summary.failed} of ${result.summary.total} rows are valid`
+        : `Imported ${result.summary.created + result.summary.updated} of ${result.summary.total} rows`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Import products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error importing products'
+    });
+  }
+});
+
+// @route   GET /api/admin/products/export
+// @desc    Stream the full catalogue as CSV or JSON (re-importable)
+// @access  Private/Admin
+router.get('/products/export', [
+  authenticate,
+  requirePermission('products:read'),
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+  query('status').optional().isIn(['active', 'inactive', 'draft', 'archived']).withMessage('Invalid status')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const format = req.query.format || 'csv';
+  const filter = req.query.status ? { status: req.query.status } : {};
+  let cursor;
+
+  // Respect backpressure so large catalogues aren't buffered in memory
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await once(res, 'drain');
+    }
+  };
+
+  try {
+    const categories = await Category.find().select('slug').lean();
+    const categorySlugs = new Map(categories.map(category => [category._id.toString(), category.slug]));
+    cursor = Product.find(filter).sort({ createdAt: 1 }).lean().cursor();
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+    let first = true;
+    await write(format === 'csv' ? `${productCatalogService.EXPORT_COLUMNS.join(',')}\n` : '[');
+    for await (const product of cursor) {
+      const record = productCatalogService.toExportRecord(product, categorySlugs);
+      if (format === 'csv') {
+        await write(`${productCatalogService.toCsvRow(record)}\n`);
+      } else {
+        await write(`${first ? '' : ','}\n${JSON.stringify(record)}`);
+      }
+      first = false;
+    }
+    res.end(format === 'csv' ? '' : '\n]\n');
+  } catch (error) {
+    console.error('Export products error:', error);
+    if (cursor) {
+      await cursor.close();
+    }
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Server error exporting products'
+      });
+    }
+  }
+});
+
+// @route   POST /api/admin/products/:id/inventory/adjustments
+// @desc    Adjust stock at a location (the default one unless locationId is given) by a
+//          number of units (change) or to a counted quantity, with a reason
+// @access  Private/Admin
+router.post('/products/:id/inventory/adjustments', [
+  authenticate,
+  requirePermission('products:write'),
+  param('id').isMongoId().withMessage('Valid product ID required'),
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID required'),
+  body('locationId').optional({ nullable: true }).isMongoId().withMessage('Valid location ID required'),
+  body('type').optional().isIn(['adjustment', 'return']).withMessage('Type must be adjustment or return'),
+  body('change').optional().isInt().withMessage('Change must be a whole number of units'),
+  body('quantity').optional().isInt({ min: 0 }).withMessage('Counted quantity must be a non-negative integer'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason is required (3-500 characters)'),
+  body().custom(value => (value.change === undefined) !== (value.quantity === undefined))
+    .withMessage('Provide either change or quantity')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!product.inventory.trackInventory) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product does not track inventory'
+      });
+    }
+
+    // Products with variants hold their stock per variant
+    const variant = req.body.variantId ? product.getVariant(req.body.variantId) : null;
+    if (product.hasVariants ? !variant : req.body.variantId) {
+      return res.status(400).json({
+        success: false,
+        message: product.hasVariants ? 'Choose a valid variantId for this product' : 'This product has no variants'
+      });
+    }
+
+    const location = req.body.locationId
+      ? await Location.findById(req.body.locationId)
+      : await Location.getDefault();
+    if (!location) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.locationId ? 'Location not found' : 'Create a stock location first'
+      });
+    }
+
+    const change = req.body.change !== undefined
+      ? parseInt(req.body.change)
+      : parseInt(req.body.quantity) - product.getStock(variant, location._id);
+    const type = req.body.type || 'adjustment';
+
+    // Nothing to record, e.g. a stocktake that matches the stock held
+    if (change === 0) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.change !== undefined
+          ? 'Change cannot be zero'
+          : `Counted quantity matches the stock held at ${location.name}; nothing to adjust`
+      });
+    }
+
+    let movement;
+    try {
+      movement = await Product.adjustStock(product._id, variant ? variant._id : null, change, {
+        location: location._id,
+        movement: { type, actor: req.user._id, reason: req.body.reason }
+      });
+    } catch (error) {
+      if (error.message !== 'Insufficient inventory') throw error;
+      return res.status(400).json({
+        success: false,
+        message: `Adjustment would take stock at ${location.name} below zero`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: { movement }
+    });
+  } catch (error) {
+    console.error('Adjust inventory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adjusting inventory'
+    });
+  }
+});
+
+// @route   POST /api/admin/products/:id/inventory/transfers
+// @desc    Move stock of a product (or variant) from one location to another
+// @access  Private/Admin
+router.post('/products/:id/inventory/transfers', [
+  authenticate,
+  requirePermission('products:write'),
+  param('id').isMongoId().withMessage('Valid product ID required'),
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID required'),
+  body('from').isMongoId().withMessage('Valid source location ID required'),
+  body('to').isMongoId().withMessage('Valid destination location ID required')
+    .custom((to, { req }) => to !== req.body.from).withMessage('Source and destination must be different locations'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!product.inventory.trackInventory) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product does not track inventory'
+      });
+    }
+
+    const variant = req.body.variantId ? product.getVariant(req.body.variantId) : null;
+    if (product.hasVariants ? !variant : req.body.variantId) {
+      return res.status(400).json({
+        success: false,
+        message: product.hasVariants ? 'Choose a valid variantId for this product' : 'This product has no variants'
+      });
+    }
+
+    const [from, to] = await Promise.all([
+      Location.findById(req.body.from),
+      Location.findById(req.body.to)
+    ]);
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+    if (!to.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: `${to.name} is not an active location`
+      });
+    }
+
+    const quantity = parseInt(req.body.quantity);
+    let transfer;
+    try {
+      transfer = await runInTransaction(session => Product.transferStock(
+        product._id,
+        variant ? variant._id : null,
+        { from: from._id, to: to._id, quantity },
+        { session, movement: { actor: req.user._id, reason: req.body.reason || `Transfer from ${from.code} to ${to.code}` } }
+      ));
+    } catch (error) {
+      if (error.message !== 'Insufficient inventory') throw error;
+      return res.status(400).json({
+        success: false,
+        message: `Only ${product.getStock(variant, from._id)} in stock at ${from.name}`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock transferred successfully',
+      data: { transfer }
+    });
+  } catch (error) {
+    console.error('Transfer inventory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error transferring stock'
+    });
+  }
+});
+
+// @route   GET /api/admin/products/:id/inventory/movements
+// @desc    Stock history for a product (newest first)
+// @access  Private/Admin
+router.get('/products/:id/inventory/movements', [
+  authenticate,
+  requirePermission('products:read'),
+  param('id').isMongoId().withMessage('Valid product ID required'),
+  query('variantId').optional().isMongoId().withMessage('Valid variant ID required'),
+  query('location').optional().isMongoId().withMessage('Valid location ID required'),
+  query('type').optional().isIn(InventoryMovement.schema.path('type').enumValues).withMessage('Invalid movement type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = { product: req.params.id };
+    if (req.query.variantId) filter.variant = req.query.variantId;
+    if (req.query.location) filter.location = req.query.location;
+    if (req.query.type) filter.type = req.query.type;
+
+    const movements = await InventoryMovement.find(filter)
+      .populate('actor', 'firstName lastName email')
+      .populate('location', 'name code')
+      .populate('order', 'orderId status')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await InventoryMovement.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get inventory movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving stock history'
+    });
+  }
+});
+
+// @route   GET /api/admin/inventory/reconciliation
+// @desc    Compare stored stock with the ledger; lists items that drifted (all=true lists every item)
+// @access  Private/Admin
+router.get('/inventory/reconciliation', [
+  authenticate,
+  requirePermission('products:read'),
+  query('product').optional().isMongoId().withMessage('Valid product ID required'),
+  query('all').optional().isBoolean().withMessage('all must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const items = await InventoryMovement.reconcile({
+      productIds: req.query.product ? [new mongoose.Types.ObjectId(req.query.product)] : null,
+      onlyDrift: req.query.all !== 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        summary: {
+          items: items.length,
+          drifted: items.filter(item => item.drift !== 0).length,
+          netDrift: items.reduce((sum, item) => sum + item.drift, 0)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Inventory reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reconciling inventory'
+    });
+  }
+});
+
+// @route   GET /api/admin/inventory/low-stock
+// @desc    Items at or below their low-stock threshold, lowest stock first, with waiting subscribers
+// @access  Private/Admin
+router.get('/inventory/low-stock', [
+  authenticate,
+  requirePermission('products:read'),
+  query('status').optional().isIn(['active', 'inactive', 'draft', 'archived', 'all']).withMessage('Invalid product status'),
+  query('outOfStock').optional().isBoolean().withMessage('outOfStock must be a boolean'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const status = req.query.status || 'active';
+
+    const items = await listLowStockItems({
+      status: status === 'all' ? null : status,
+      outOfStockOnly: req.query.outOfStock === 'true'
+    });
+
+    const total = items.length;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        items: items.slice((page - 1) * limit, page * limit),
+        summary: {
+          lowStock: total,
+          outOfStock: items.filter(item => item.quantity === 0).length,
+          pendingSubscribers: items.reduce((sum, item) => sum + item.pendingSubscribers, 0)
+        },
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get low stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving low stock items'
+    });
+  }
+});
+
+// @route   GET /api/admin/locations
+// @desc    Stock locations with the stock held at each
+// @access  Private/Admin
+router.get('/locations', [authenticate, requirePermission('products:read')], async (req, res) => {
+  try {
+    const [locations, totals] = await Promise.all([
+      Location.find().sort({ isDefault: -1, priority: 1, name: 1 }),
+      Location.getStockTotals()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        locations: locations.map(location => ({
+          ...location.toObject(),
+          stock: totals.get(location._id.toString()) || { units: 0, items: 0 }
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving locations'
+    });
+  }
+});
+
+// @route   POST /api/admin/locations
+// @desc    Create a stock location
+// @access  Private/Admin
+router.post('/locations', [
+  authenticate,
+  requirePermission('products:write'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and cannot exceed 100 characters'),
+  body('code').trim().matches(/^[A-Za-z0-9-]{2,20}$/).withMessage('Code is required: 2-20 letters, numbers and hyphens'),
+  body('address.address').optional().trim().isLength({ max: 200 }).withMessage('Address cannot exceed 200 characters'),
+  body('address.city').optional().trim().isLength({ max: 50 }).withMessage('City cannot exceed 50 characters'),
+  body('address.state').optional().trim().isLength({ max: 50 }).withMessage('State cannot exceed 50 characters'),
+  body('address.phone').optional().trim().isLength({ max: 20 }).withMessage('Phone cannot exceed 20 characters'),
+  body('servesStates').optional().isArray().withMessage('servesStates must be an array of state names'),
+  body('servesStates.*').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Each state name cannot exceed 50 characters'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, code, address, servesStates, priority, isDefault, isActive } = req.body;
+
+    const location = new Location({ name, code, address, servesStates, priority, isDefault, isActive });
+    await location.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Location created successfully',
+      data: { location }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ msg: err.message, path: err.path }))
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A location with this code already exists'
+      });
+    }
+    console.error('Create location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating location'
+    });
+  }
+});
+
+// @route   PUT /api/admin/locations/:id
+// @desc    Update a stock location (deactivated locations stop fulfilling orders)
+// @access  Private/Admin
+router.put('/locations/:id', [
+  authenticate,
+  requirePermission('products:write'),
+  param('id').isMongoId().withMessage('Valid location ID required'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('code').optional().trim().matches(/^[A-Za-z0-9-]{2,20}$/).withMessage('Code may only contain 2-20 letters, numbers and hyphens'),
+  body('address.address').optional().trim().isLength({ max: 200 }).withMessage('Address cannot exceed 200 characters'),
+  body('address.city').optional().trim().isLength({ max: 50 }).withMessage('City cannot exceed 50 characters'),
+  body('address.state').optional().trim().isLength({ max: 50 }).withMessage('State cannot exceed 50 characters'),
+  body('address.phone').optional().trim().isLength({ max: 20 }).withMessage('Phone cannot exceed 20 characters'),
+  body('servesStates').optional().isArray().withMessage('servesStates must be an array of state names'),
+  body('servesStates.*').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Each state name cannot exceed 50 characters'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const allowedFields = ['name', 'code', 'address', 'servesStates', 'priority', 'isDefault', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        location[field] = req.body[field];
+      }
+    });
+
+    if (location.isDefault && !location.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make another location the default before deactivating this one'
+      });
+    }
+
+    await location.save();
+
+    res.json({
+      success: true,
+      message: 'Location updated successfully',
+      data: { location }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ msg: err.message, path: err.path }))
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A location with this code already exists'
+      });
+    }
+    console.error('Update location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating location'
+    });
+  }
+});
+
+// @route   GET /api/admin/reviews
+// @desc    Review moderation queue (pending reviews, oldest first, by default)
+// @access  Private/Admin
+router.get('/reviews', [
+  authenticate,
+  requirePermission('reviews:moderate'),
+  query('status').optional().isIn(['pending', 'approved', 'hidden']).withMessage('Invalid review status'),
+  query('product').optional().isMongoId().withMessage('Valid product ID required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const status = req.query.status || 'pending';
+
+    const match = { 'reviews.status': status };
+    if (req.query.product) {
+      match._id = new mongoose.Types.ObjectId(req.query.product);
+    }
+
+    const [result] = await Product.aggregate([
+      { $match: match },
+      { $unwind: '$reviews' },
+      { $match: { 'reviews.status': status } },
+      { $sort: { 'reviews.createdAt': status === 'pending' ? 1 : -1 } },
+      {
+        $facet: {
+          reviews: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                _id: '$reviews._id',
+                product: { _id: '$_id', title: '$title', sku: '$inventory.sku' },
+                user: '$reviews.user',
+                rating: '$reviews.rating',
+                comment: '$reviews.comment',
+                status: '$reviews.status',
+                isVerified: '$reviews.isVerified',
+                reply: '$reviews.reply',
+                moderatedBy: '$reviews.moderatedBy',
+                moderatedAt: '$reviews.moderatedAt',
+                createdAt: '$reviews.createdAt',
+                updatedAt: '$reviews.updatedAt'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const reviews = await User.populate(result.reviews, { path: 'user', select: 'firstName lastName email' });
+    const total = result.total[0] ? result.total[0].count : 0;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving reviews'
+    });
+  }
+});
+
+// @route   PUT /api/admin/products/:id/reviews/:reviewId
+// @desc    Approve or hide a review and/or reply to it (an empty reply removes it)
+// @access  Private/Admin
+router.put('/products/:id/reviews/:reviewId', [
+  authenticate,
+  requirePermission('reviews:moderate'),
+  param('id').isMongoId().withMessage('Valid product ID required'),
+  param('reviewId').isMongoId().withMessage('Valid review ID required'),
+  body('status').optional().isIn(['approved', 'hidden']).withMessage('Status must be approved or hidden'),
+  body('reply').optional().isString().trim().isLength({ max: 1000 }).withMessage('Reply cannot exceed 1000 characters'),
+  body().custom(value => value.status !== undefined || value.reply !== undefined)
+    .withMessage('Provide a status or a reply')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    const review = product && product.moderateReview(req.params.reviewId, {
+      status: req.body.status,
+      reply: req.body.reply
+    }, req.user._id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: {
+        review,
+        ratings: product.ratings
+      }
+    });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating review'
+    });
+  }
+});
+
+// @route   GET /api/admin/categories
+// @desc    Get the full category tree, including inactive categories
+// @access  Private/Admin
+router.get('/categories', [authenticate, requirePermission('products:read')], async (req, res) => {
+  try {
+    const stats = await Product.aggregate([
+      {
+        $group: {
+          _id: '$category',
+          count: { $sum: 1 },
+          minPrice: { $min: '$price' },
+          maxPrice: { $max: '$price' }
+        }
+      }
+    ]);
+
+    const categories = await Category.buildTree(
+      new Map(stats.filter(stat => stat._id).map(stat => [stat._id.toString(), stat])),
+      { includeInactive: true }
+    );
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving categories'
+    });
+  }
+});
+
+// @route   POST /api/admin/categories
+// @desc    Create a category
+// @access  Private/Admin
+router.post('/categories', [
+  authenticate,
+  requirePermission('products:write'),
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name is required and cannot exceed 50 characters'),
+  body('slug').optional().trim().isSlug().isLength({ max: 60 }).withMessage('Slug may only contain letters, numbers, hyphens and underscores'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Parent must be a valid category ID or null'),
+  body('sortOrder').optional().isInt().withMessage('Sort order must be an integer'),
+  body('image.url').optional().isURL({ require_tld: false }).withMessage('Image URL must be valid'),
+  body('image.alt').optional().trim().isLength({ max: 200 }).withMessage('Image alt text cannot exceed 200 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, slug, description, parent, sortOrder, image, isActive } = req.body;
+
+    const category = new Category({ name, slug, description, parent, sortOrder, image, isActive });
+    await category.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ msg: err.message, path: err.path }))
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category with this slug already exists'
+      });
+    }
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating category'
+    });
+  }
+});
+
+// @route   PUT /api/admin/categories/:id
+// @desc    Update or move a category
+// @access  Private/Admin
+router.put('/categories/:id', [
+  authenticate,
+  requirePermission('products:write'),
+  param('id').isMongoId().withMessage('Valid category ID required'),
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name cannot exceed 50 characters'),
+  body('slug').optional().trim().isSlug().isLength({ max: 60 }).withMessage('Slug may only contain letters, numbers, hyphens and underscores'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Parent must be a valid category ID or null'),
+  body('sortOrder').optional().isInt().withMessage('Sort order must be an integer'),
+  body('image.url').optional().isURL({ require_tld: false }).withMessage('Image URL must be valid'),
+  body('image.alt').optional().trim().isLength({ max: 200 }).withMessage('Image alt text cannot exceed 200 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const allowedFields = ['name', 'slug', 'description', 'parent', 'sortOrder', 'image', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        category[field] = req.body[field];
+      }
+    });
+
+    const moved = category.isModified('parent');
+    await category.save();
+    if (moved) {
+      await category.updateDescendants();
+    }
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ msg: err.message, path: err.path }))
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category with this slug already exists'
+      });
+    }
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating category'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/categories/:id
+// @desc    Delete an empty category (no subcategories or products)
+// @access  Private/Admin
+router.delete('/categories/:id', [
+  authenticate,
+  requirePermission('products:write'),
+  param('id').isMongoId().withMessage('Valid category ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const [childCount, productCount] = await Promise.all([
+      Category.countDocuments({ parent: category._id }),
+      Product.countDocuments({ category: category._id })
+    ]);
+
+    if (childCount > 0 || productCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Category still has ${childCount} subcategories and ${productCount} products. Move them first or deactivate the category instead.`
+      });
+    }
+
+    await category.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting category'
+    });
+  }
+});
+
+// @route   GET /api/admin/roles
+// @desc    Get all roles and the available permissions
+// @access  Private/Admin
+router.get('/roles', [authenticate, requirePermission('roles:manage')], async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+    const userCounts = await User.aggregate([
+      { $match: { role: { $ne: null } } },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = new Map(userCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({
+          ...role.toObject(),
+          userCount: countByRole.get(role._id.toString()) || 0
+        })),
+        permissions: PERMISSIONS
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving roles'
+    });
+  }
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a role
+// @access  Private/Admin
+router.post('/roles', [
+  authenticate,
+  requirePermission('roles:manage'),
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Role name is required and cannot exceed 50 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('permissions').isArray({ min: 1 }).withMessage('At least one permission is required'),
+  body('permissions.*').isIn(PERMISSIONS).withMessage('Invalid permission')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    const existingRole = await Role.findByName(name);
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role with this name already exists'
+      });
+    }
+
+    const role = new Role({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+
+    await role.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating role'
+    });
+  }
+});
+
+// @route   PUT /api/admin/roles/:id
+// @desc    Update a role
+// @access  Private/Admin
+router.put('/roles/:id', [
+  authenticate,
+  requirePermission('roles:manage'),
+  param('id').isMongoId().withMessage('Valid role ID required'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('permissions').optional().isArray({ min: 1 }).withMessage('At least one permission is required'),
+  body('permissions.*').optional().isIn(PERMISSIONS).withMessage('Invalid permission')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be modified'
+      });
+    }
+
+    if (req.body.description !== undefined) role.description = req.body.description;
+    if (req.body.permissions) role.permissions = [...new Set(req.body.permissions)];
+
+    await role.save();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating role'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/roles/:id
+// @desc    Delete a role that is not assigned to any user
+// @access  Private/Admin
+router.delete('/roles/:id', [
+  authenticate,
+  requirePermission('roles:manage'),
+  param('id').isMongoId().withMessage('Valid role ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const assignedUsers = await User.countDocuments({ role: role._id });
+    if (assignedUsers > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${assignedUsers} user(s). Reassign them before deleting.`
+      });
+    }
+
+    await role.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting role'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,11 +1,162 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authenticate, generateToken, generateRefreshToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const {
+  authenticate,
+  blockImpersonation,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
+} = require('../middleware/auth');
+const { createSession, rotateSession } = require('../services/sessionService');
+const oauthService = require('../services/oauthService');
+const {
+  REFRESH_TOKEN_COOKIE,
+  wantsCookieAuth,
+  setAuthCookies,
+  clearAuthCookies,
+  hasValidCsrfToken
+} = require('../middleware/cookieAuth');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail
+} = require('../services/emailService');
+const {
+  generateSecret,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../services/twoFactorService');
 
 const router = express.Router();
 
+// Finish a first-factor login: ask for the second factor if enabled, otherwise issue tokens
+const completeLogin = async (req, res, user) => {
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user._id)
+      }
+    });
+  }
+
+  await sendLoginResponse(req, res, user);
+};
+
+// Per-IP limit on failed sign-in attempts (successful logins don't count)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 failed attempts per windowMs
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: 'Too many failed login attempts from this IP, please try again later.'
+  }
+});
+
+// Per-email limit on magic link requests so inboxes can't be flooded
+const magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3, // limit each email to 3 links per windowMs
+  keyGenerator: (req) => String(req.body.email || req.ip).trim().toLowerCase(),
+  message: {
+    success: false,
+    message: 'Too many sign-in links requested for this email, please try again later.'
+  }
+});
+
+// Respond to a login attempt on a locked (or backing-off) account
+const sendLockedResponse = (res, lockUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockUntil - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: 'Too many failed login attempts. Please try again later.',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter
+  });
+};
+
+// Record a failed login and email the owner if it locked the account
+const handleFailedLogin = async (req, user) => {
+  const { locked, lockUntil } = await user.registerFailedLogin(req.ip);
+
+  if (locked) {
+    try {
+      await sendAccountLockedEmail(user, lockUntil, req.ip);
+    } catch (emailError) {
+      console.error('Failed to send account locked email:', emailError);
+    }
+  }
+};
+
+// Deliver tokens in the response body (Bearer mode) or as HttpOnly cookies (cookie mode)
+const deliverTokens = (req, res, { token, refreshToken }) => {
+  if (wantsCookieAuth(req)) {
+    const csrfToken = setAuthCookies(res, { token, refreshToken });
+    return { csrfToken };
+  }
+  return { token, refreshToken };
+};
+
+// Validation rules for an address book entry (every field optional when updating)
+const addressValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    body('label').optional().trim().isLength({ max: 30 }).withMessage('Label cannot exceed 30 characters'),
+    field('firstName').trim().isLength({ min: 1, max: 50 }).withMessage('First name is required and cannot exceed 50 characters'),
+    field('lastName').trim().isLength({ min: 1, max: 50 }).withMessage('Last name is required and cannot exceed 50 characters'),
+    field('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+    field('phone').isLength({ min: 10, max: 15 }).withMessage('Phone number must be between 10 and 15 characters'),
+    field('address').trim().isLength({ min: 5, max: 200 }).withMessage('Address must be between 5 and 200 characters'),
+    field('city').trim().isLength({ min: 1, max: 50 }).withMessage('City is required and cannot exceed 50 characters'),
+    field('state').trim().isLength({ min: 1, max: 50 }).withMessage('State is required and cannot exceed 50 characters'),
+    body('postalCode').optional().isLength({ min: 1, max: 10 }).withMessage('Postal code cannot exceed 10 characters'),
+    body('isDefaultShipping').optional().isBoolean().withMessage('isDefaultShipping must be a boolean'),
+    body('isDefaultBilling').optional().isBoolean().withMessage('isDefaultBilling must be a boolean')
+  ];
+};
+
+// Start a session, issue access/refresh tokens and send the standard login response
+const sendLoginResponse = async (req, res, user, message = 'Login successful') => {
+  const { token, refreshToken, session } = await createSession(user, req);
+
+  // Clear failed attempts and persist any second-factor state consumed during login
+  user.resetLoginAttempts();
+  await user.save();
+
+  // Return user data
+  const userResponse = {
+    _id: user._id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    isAdmin: user.isAdmin,
+    isEmailVerified: user.isEmailVerified,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    createdAt: user.createdAt
+  };
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      user: userResponse,
+      ...deliverTokens(req, res, { token, refreshToken }),
+      sessionId: session._id
+    }
+  });
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -72,15 +223,19 @@ router.post('/register', [
       name: `${firstName} ${lastName}`
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Send verification email
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (emailError) {
+      console.error('Failed to send verification email:', emailError);
+      // Don't fail registration if email fails; the user can request a resend
+    }
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Start a session and generate tokens
+    const { token, refreshToken, session } = await createSession(user, req);
 
     // Return user data (without password)
     const userResponse = {
@@ -91,17 +246,18 @@ router.post('/register', [
       lastName: user.lastName,
       name: user.name,
       isAdmin: user.isAdmin,
+      isEmailVerified: user.isEmailVerified,
       status: user.status,
       createdAt: user.createdAt
     };
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       data: {
         user: userResponse,
-        token,
-        refreshToken
+        ...deliverTokens(req, res, { token, refreshToken }),
+        sessionId: session._id
       }
     });
   } catch (error) {
@@ -117,6 +273,7 @@ router.post('/register', [
 // @desc    Authenticate user & get token
 // @access  Public
 router.post('/login', [
+  loginLimiter,
   body('email')
     .isEmail()
     .withMessage('Please provide a valid email'),
@@ -155,170 +312,293 @@ router.post('/login', [
       });
     }
 
+    // Refuse attempts while the account is locked or backing off
+    if (user.isLocked) {
+      return sendLockedResponse(res, user.loginSecurity.lockUntil);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await handleFailedLogin(req, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   GET /api/auth/oauth/providers
+// @desc    List enabled social login providers
+// @access  Public
+router.get('/oauth/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: oauthService.listProviders() }
+  });
+});
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
+// @route   GET /api/auth/oauth/:provider/authorize
+// @desc    Start social login (authorization code flow with PKCE)
+// @access  Public
+router.get('/oauth/:provider/authorize', [
+  param('provider').trim().toLowerCase().isAlphanumeric().withMessage('Invalid provider')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    // Return user data
-    const userResponse = {
-      _id: user._id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      isAdmin: user.isAdmin,
-      createdAt: user.createdAt
-    };
+    const provider = oauthService.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login provider not available'
+      });
+    }
+
+    const authorizationUrl = await oauthService.createAuthorizationUrl(provider);
 
     res.json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: userResponse,
-        token,
-        refreshToken
-      }
+      data: { authorizationUrl }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('OAuth authorize error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error starting social login'
     });
   }
 });
 
-// @route   POST /api/auth/refresh
-// @desc    Refresh access token
+// @route   POST /api/auth/oauth/:provider/callback
+// @desc    Complete social login with the authorization code
 // @access  Public
-router.post('/refresh', [
-  body('refreshToken')
-    .notEmpty()
-    .withMessage('Refresh token is required')
+router.post('/oauth/:provider/callback', [
+  loginLimiter,
+  param('provider').trim().toLowerCase().isAlphanumeric().withMessage('Invalid provider'),
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required')
 ], async (req, res) => {
   try {
-    const { refreshToken } = req.body;
-
-    if (!refreshToken) {
-      return res.status(401).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Refresh token is required'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key');
-    const user = await User.findById(decoded.userId);
+    const provider = oauthService.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login provider not available'
+      });
+    }
 
-    if (!user || user.refreshToken !== refreshToken) {
+    let profile;
+    try {
+      profile = await oauthService.handleCallback(provider, req.body);
+    } catch (oauthError) {
+      console.error('OAuth callback error:', oauthError.message);
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Social login failed. Please try again.'
       });
     }
 
-    // Generate new tokens
-    const newToken = generateToken(user._id);
-    const newRefreshToken = generateRefreshToken(user._id);
+    let user = await User.findByIdentity(provider.name, profile.subject);
 
-    // Update refresh token
-    user.refreshToken = newRefreshToken;
-    await user.save();
+    if (!user) {
+      if (!profile.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your account with this provider has no email address we can use'
+        });
+      }
 
-    res.json({
-      success: true,
-      message: 'Token refreshed successfully',
-      data: {
-        token: newToken,
-        refreshToken: newRefreshToken
+      const email = profile.email.toLowerCase();
+      user = await User.findByEmail(email);
+
+      if (user) {
+        // Only link to an existing account when the provider vouches for the email
+        // and the account owner has verified it too. An unverified account may have
+        // been registered by someone else who knows its password, so its owner has
+        // to log in and link the provider from their account instead.
+        if (!profile.emailVerified || !user.isEmailVerified) {
+          return res.status(409).json({
+            success: false,
+            message: 'An account with this email already exists. Please log in and link this provider from your account.'
+          });
+        }
+        user.linkIdentity(provider.name, profile.subject, email);
+      } else {
+        user = new User({
+          email,
+          firstName: profile.firstName || email.split('@')[0],
+          lastName: profile.lastName || '-',
+          isEmailVerified: profile.emailVerified,
+          emailVerifiedAt: profile.emailVerified ? new Date() : undefined
+        });
+        user.linkIdentity(provider.name, profile.subject, email);
       }
-    });
+
+      await user.save();
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not active. Please contact support.'
+      });
+    }
+
+    await completeLogin(req, res, user);
   } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(401).json({
+    console.error('OAuth login error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Invalid refresh token'
+      message: 'Server error during social login'
     });
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (invalidate refresh token)
+// @route   GET /api/auth/oauth/:provider/link
+// @desc    Start linking a social login provider to the current account
 // @access  Private
-router.post('/logout', authenticate, async (req, res) => {
+router.get('/oauth/:provider/link', [
+  authenticate,
+  blockImpersonation,
+  param('provider').trim().toLowerCase().isAlphanumeric().withMessage('Invalid provider')
+], async (req, res) => {
   try {
-    // Clear refresh token
-    req.user.refreshToken = null;
-    await req.user.save();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = oauthService.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login provider not available'
+      });
+    }
+
+    const authorizationUrl = await oauthService.createAuthorizationUrl(provider, { userId: req.user._id });
 
     res.json({
       success: true,
-      message: 'Logged out successfully'
+      data: { authorizationUrl }
     });
   } catch (error) {
-    console.error('Logout error:', error);
+    console.error('OAuth link authorize error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during logout'
+      message: 'Server error starting provider link'
     });
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user profile
+// @route   POST /api/auth/oauth/:provider/link
+// @desc    Link a social login provider to the current account with the authorization code
 // @access  Private
-router.get('/me', authenticate, async (req, res) => {
+router.post('/oauth/:provider/link', [
+  authenticate,
+  blockImpersonation,
+  param('provider').trim().toLowerCase().isAlphanumeric().withMessage('Invalid provider'),
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required')
+], async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('-password -refreshToken');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = oauthService.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login provider not available'
+      });
+    }
+
+    let profile;
+    try {
+      profile = await oauthService.handleCallback(provider, req.body, { userId: req.user._id });
+    } catch (oauthError) {
+      console.error('OAuth link callback error:', oauthError.message);
+      return res.status(401).json({
+        success: false,
+        message: 'Linking the provider failed. Please try again.'
+      });
+    }
+
+    const linkedUser = await User.findByIdentity(provider.name, profile.subject);
+    if (linkedUser && !linkedUser._id.equals(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This provider account is already linked to another user'
+      });
+    }
+
+    const user = req.user;
+    user.linkIdentity(provider.name, profile.subject, profile.email ? profile.email.toLowerCase() : undefined);
+    await user.save();
 
     res.json({
       success: true,
-      data: { user }
+      message: 'Provider linked successfully',
+      data: {
+        identities: user.identities.map(({ provider: name, email, linkedAt }) => ({ provider: name, email, linkedAt }))
+      }
     });
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('OAuth link error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error retrieving profile'
+      message: 'Server error linking provider'
     });
   }
 });
 
-// @route   PUT /api/auth/profile
-// @desc    Update user profile
-// @access  Private
-router.put('/profile', [
-  authenticate,
-  body('firstName')
-    .optional()
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('First name must be less than 50 characters'),
-  body('lastName')
-    .optional()
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Last name must be less than 50 characters'),
+// @route   POST /api/auth/magic-link
+// @desc    Email a single-use passwordless sign-in link
+// @access  Public
+router.post('/magic-link', [
+  magicLinkLimiter,
   body('email')
-    .optional()
     .isEmail()
     .withMessage('Please provide a valid email')
     .normalizeEmail()
 ], async (req, res) => {
   try {
-    // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -328,67 +608,45 @@ router.put('/profile', [
       });
     }
 
-    const { firstName, lastName, email } = req.body;
-    const user = req.user;
+    const user = await User.findByEmail(req.body.email);
+    const magicLinkDisabled = user?.isAdmin && process.env.DISABLE_ADMIN_MAGIC_LINK === 'true';
 
-    // Check if email is already taken by another user
-    if (email && email !== user.email) {
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email already in use'
-        });
+    // Respond the same way whether or not the account exists
+    if (user && user.isActive && !magicLinkDisabled) {
+      const magicToken = user.createMagicLinkToken();
+      await user.save();
+
+      try {
+        await sendMagicLinkEmail(user, magicToken);
+      } catch (emailError) {
+        console.error('Failed to send magic link email:', emailError);
       }
-      user.email = email;
     }
 
-    // Update fields
-    if (firstName) user.firstName = firstName;
-    if (lastName) user.lastName = lastName;
-
-    await user.save();
-
-    // Return updated user data
-    const userResponse = {
-      _id: user._id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      isAdmin: user.isAdmin,
-      updatedAt: user.updatedAt
-    };
-
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      data: { user: userResponse }
+      message: 'If an account exists for that email, a sign-in link has been sent'
     });
   } catch (error) {
-    console.error('Profile update error:', error);
+    console.error('Magic link request error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error updating profile'
+      message: 'Server error requesting sign-in link'
     });
   }
 });
 
-// @route   PUT /api/auth/change-password
-// @desc    Change user password
-// @access  Private
-router.put('/change-password', [
-  authenticate,
-  body('currentPassword')
-    .notEmpty()
-    .withMessage('Current password is required'),
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+// @route   GET /api/auth/magic-link/:token
+// @desc    Exchange a magic link token for access/refresh tokens
+// @access  Public
+router.get('/magic-link/:token', [
+  loginLimiter,
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid sign-in link')
 ], async (req, res) => {
   try {
-    // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -398,29 +656,1011 @@ router.put('/change-password', [
       });
     }
 
-    const { currentPassword, newPassword } = req.body;
-    const user = req.user;
+    const user = await User.consumeMagicLinkToken(req.params.token);
 
-    // Check current password
-    const isMatch = await bcrypt.compare(currentPassword, user.password);
-    if (!isMatch) {
-      return res.status(400).json({
+    if (!user || !user.isActive) {
+      return res.status(401).json({
         success: false,
-        message: 'Current password is incorrect'
+        message: 'Sign-in link is invalid or has expired'
       });
     }
 
-    // Hash new password
-    const salt = await bcrypt.genSalt(12);
-    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    // The setting may have been switched on after the link was sent
+    if (user.isAdmin && process.env.DISABLE_ADMIN_MAGIC_LINK === 'true') {
+      return res.status(403).json({
+        success: false,
+        message: 'Sign-in links are disabled for admin accounts'
+      });
+    }
 
-    // Update password
-    user.password = hashedPassword;
-    await user.save();
+    // Opening the link proves the user owns the email address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
 
-    res.json({
-      success: true,
-      message: 'Password changed successfully'
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Magic link login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during sign-in'
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address
+// @access  Public
+router.get('/verify-email/:token', [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid verification token')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByVerificationToken(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    await user.markEmailVerified();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend email verification link
+// @access  Private
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/login
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public
+router.post('/2fa/login', [
+  loginLimiter,
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (user.isLocked) {
+      return sendLockedResponse(res, user.loginSecurity.lockUntil);
+    }
+
+    if (!user.verifySecondFactor({ code, recoveryCode })) {
+      await handleFailedLogin(req, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get the authenticator secret
+// @access  Private
+router.post('/2fa/setup', [authenticate, blockImpersonation], async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then verify a code to finish setup',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error setting up two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm two-factor enrollment and get recovery codes
+// @access  Private
+router.post('/2fa/verify', [
+  authenticate,
+  blockImpersonation,
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.user;
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.lastUsedStep = undefined;
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Recovery codes are only shown once; store hashes
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', [
+  authenticate,
+  blockImpersonation,
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.isAdmin && process.env.REQUIRE_ADMIN_2FA === 'true') {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for admin accounts'
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !user.verifySecondFactor({ code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Refresh access token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .optional()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const cookieToken = req.cookies?.[REFRESH_TOKEN_COOKIE];
+    const refreshToken = req.body.refreshToken || cookieToken;
+    const fromCookie = !req.body.refreshToken && Boolean(cookieToken);
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    if (fromCookie && !hasValidCsrfToken(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or missing CSRF token.',
+        code: 'CSRF_INVALID'
+      });
+    }
+
+    // Rotate the refresh token (replaying an old one revokes the session)
+    const rotated = await rotateSession(refreshToken, req);
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const user = await User.findById(rotated.session.user);
+
+    if (!user || !user.isActive) {
+      await rotated.session.revoke('admin');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // Answer in the same mode the refresh token arrived in
+    const tokens = { token: rotated.token, refreshToken: rotated.refreshToken };
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: fromCookie ? { csrfToken: setAuthCookies(res, tokens) } : deliverTokens(req, res, tokens)
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(401).json({
+      success: false,
+      message: 'Invalid refresh token'
+    });
+  }
+});
+
+// @route   POST /api/auth/impersonation/stop
+// @desc    End the current impersonation (the token stops working immediately)
+// @access  Private (impersonation token)
+router.post('/impersonation/stop', authenticate, async (req, res) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not currently impersonating a user'
+      });
+    }
+
+    await req.impersonation.stop(req.impersonation.admin);
+
+    res.json({
+      success: true,
+      message: 'Impersonation stopped'
+    });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error stopping impersonation'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user (revoke current session)
+// @access  Private
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    if (req.impersonation) {
+      await req.impersonation.stop(req.impersonation.admin);
+    }
+
+    if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'logout' }
+      );
+    }
+
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out everywhere (revoke all sessions)
+// @access  Private
+router.post('/logout-all', [authenticate, blockImpersonation], async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get current user's active sessions
+// @access  Private
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          device: session.device,
+          ipAddress: session.ipAddress,
+          userAgent: session.userAgent,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: Boolean(req.sessionId && session._id.equals(req.sessionId))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', [
+  authenticate,
+  blockImpersonation,
+  param('id').isMongoId().withMessage('Valid session ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session || !session.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user profile
+// @access  Private
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('-password -emailVerificationToken -emailVerificationExpires -passwordResetToken -passwordResetExpires -magicLinkToken -magicLinkExpires');
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        impersonatedBy: req.impersonation ? req.impersonation.admin : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving profile'
+    });
+  }
+});
+
+// @route   GET /api/auth/me/export
+// @desc    Download all personal data held about the current user
+// @access  Private
+router.get('/me/export', [authenticate, blockImpersonation], async (req, res) => {
+  try {
+    const [user, orders, payments, sessions] = await Promise.all([
+      User.findById(req.user._id)
+        .populate('role', 'name')
+        .populate('cart.items.product', 'title price')
+        .populate('wishlist', 'title price'),
+      Order.find({ user: req.user._id }).sort({ createdAt: -1 }).lean(),
+      Payment.find({ user: req.user._id }).select('-webhookData').sort({ createdAt: -1 }).lean(),
+      Session.find({ user: req.user._id }).select('-refreshTokenId').sort({ createdAt: -1 }).lean()
+    ]);
+
+    const profile = user.toJSON();
+    delete profile.cart;
+    delete profile.wishlist;
+
+    const bundle = {
+      exportedAt: new Date().toISOString(),
+      profile,
+      cart: user.cart.items.map(item => ({
+        product: item.product ? { _id: item.product._id, title: item.product.title, price: item.product.price } : null,
+        variant: item.variant,
+        quantity: item.quantity,
+        addedAt: item.addedAt
+      })),
+      wishlist: user.wishlist.map(product => ({ _id: product._id, title: product.title, price: product.price })),
+      orders,
+      payments,
+      sessions
+    };
+
+    res.attachment(`shopease-data-${user._id}.json`);
+    res.send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting data'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/me
+// @desc    Delete account: anonymize personal data, keep financial records
+// @access  Private
+router.delete('/me', [
+  authenticate,
+  blockImpersonation,
+  body('confirm')
+    .equals('DELETE')
+    .withMessage('Type DELETE to confirm account deletion'),
+  body('password')
+    .optional()
+    .isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.user;
+
+    // Accounts with a password must confirm it
+    if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const openOrders = await Order.countDocuments({
+      user: user._id,
+      status: { $in: ['pending', 'processing', 'shipped'] }
+    });
+    if (openOrders > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have orders in progress. Please wait for them to be delivered or cancel them before deleting your account.'
+      });
+    }
+
+    await user.anonymize();
+    await Promise.all([
+      Order.anonymizeForUser(user._id, user.email),
+      Payment.anonymizeForUser(user._id),
+      Session.deleteMany({ user: user._id })
+    ]);
+
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Your account has been deleted'
+    });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting account'
+    });
+  }
+});
+
+// @route   PUT /api/auth/profile
+// @desc    Update user profile
+// @access  Private
+router.put('/profile', [
+  authenticate,
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name must be less than 50 characters'),
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name must be less than 50 characters'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { firstName, lastName, email } = req.body;
+    const user = req.user;
+
+    // Changing the login email is an account takeover vector, so admins can't do it while impersonating
+    if (email && email !== user.email && req.impersonation) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email cannot be changed while impersonating a customer.',
+        code: 'IMPERSONATION_RESTRICTED'
+      });
+    }
+
+    // Check if email is already taken by another user
+    if (email && email !== user.email) {
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email already in use'
+        });
+      }
+      // The new address has to be verified before it can be used to order or pay
+      user.email = email;
+      user.isEmailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
+    const verificationToken = user.isModified('email') ? user.createEmailVerificationToken() : null;
+
+    // Update fields
+    if (firstName) user.firstName = firstName;
+    if (lastName) user.lastName = lastName;
+
+    await user.save();
+
+    if (verificationToken) {
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (emailError) {
+        console.error('Failed to send verification email:', emailError);
+        // Don't fail the update if email fails; the user can request a resend
+      }
+    }
+
+    // Return updated user data
+    const userResponse = {
+      _id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      isAdmin: user.isAdmin,
+      isEmailVerified: user.isEmailVerified,
+      updatedAt: user.updatedAt
+    };
+
+    res.json({
+      success: true,
+      message: verificationToken
+        ? 'Profile updated successfully. Please check your new email address to verify it.'
+        : 'Profile updated successfully',
+      data: { user: userResponse }
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating profile'
+    });
+  }
+});
+
+// @route   GET /api/auth/addresses
+// @desc    Get current user's saved addresses
+// @access  Private
+router.get('/addresses', authenticate, async (req, res) => {
+  res.json({
+    success: true,
+    data: { addresses: req.user.addresses }
+  });
+});
+
+// @route   POST /api/auth/addresses
+// @desc    Add an address to the address book
+// @access  Private
+router.post('/addresses', [
+  authenticate,
+  ...addressValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.user;
+
+    let address;
+    try {
+      address = user.addAddress(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address added successfully',
+      data: { address, addresses: user.addresses }
+    });
+  } catch (error) {
+    console.error('Add address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding address'
+    });
+  }
+});
+
+// @route   PUT /api/auth/addresses/:id
+// @desc    Update a saved address or make it the default
+// @access  Private
+router.put('/addresses/:id', [
+  authenticate,
+  param('id').isMongoId().withMessage('Valid address ID required'),
+  ...addressValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const address = user.updateAddress(req.params.id, req.body);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Address updated successfully',
+      data: { address, addresses: user.addresses }
+    });
+  } catch (error) {
+    console.error('Update address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating address'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/addresses/:id
+// @desc    Remove a saved address
+// @access  Private
+router.delete('/addresses/:id', [
+  authenticate,
+  param('id').isMongoId().withMessage('Valid address ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.user;
+
+    if (!user.removeAddress(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Address removed successfully',
+      data: { addresses: user.addresses }
+    });
+  } catch (error) {
+    console.error('Remove address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing address'
+    });
+  }
+});
+
+// @route   PUT /api/auth/change-password
+// @desc    Change user password
+// @access  Private
+router.put('/change-password', [
+  authenticate,
+  blockImpersonation,
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    // Check current password
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(12);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+    // Update password
+    user.password = hashedPassword;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
     });
   } catch (error) {
     console.error('Password change error:', error);
@@ -431,4 +1671,108 @@ router.put('/change-password', [
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmail(req.body.email);
+
+    // Only send the email for active accounts, but always respond the same way
+    // so the endpoint can't be used to discover registered emails
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (emailError) {
+        console.error('Failed to send password reset email:', emailError);
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    // Sets the password (hashed by the model) and consumes the token
+    await user.resetPassword(newPassword);
+
+    // Sign out every device so a stolen session can't outlive the reset
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+});
+
 module.exports = router;
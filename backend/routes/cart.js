@@ -1,11 +1,35 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const { authenticate } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Resolve the variant a cart line refers to. Products with variants must be
+// bought by variant; products without them can't take a variantId.
+const resolveVariant = (product, variantId) => {
+  if (product.hasVariants) {
+    if (!variantId) {
+      return { error: `Please choose an option for ${product.title}` };
+    }
+    const variant = product.getVariant(variantId);
+    return variant ? { variant } : { error: 'Selected variant is not available' };
+  }
+  if (variantId) {
+    return { error: 'Product has no variants' };
+  }
+  return { variant: null };
+};
+
+// Summarize a variant for cart responses
+const describeVariant = (variant) => variant ? {
+  _id: variant._id,
+  sku: variant.sku,
+  options: variant.options,
+  images: variant.images
+} : null;
+
 // @route   GET /api/cart
 // @desc    Get user's cart
 // @access  Private
@@ -13,7 +37,7 @@ router.get('/', authenticate, async (req, res) => {
   try {
     const user = await User.findById(req.user._id).populate({
       path: 'cart.items.product',
-      select: 'title price images category brand inventory status'
+      select: 'title price images category brand inventory status variants'
     });
 
     if (!user) {
@@ -30,8 +54,18 @@ router.get('/', authenticate, async (req, res) => {
 
     for (const item of user.cart.items) {
       const product = item.product;
-      if (product && product.status === 'active' && (product.inventory.quantity > 0 || !product.inventory.trackInventory)) {
-        const itemTotal = product.price * item.quantity;
+      if (!product || product.status !== 'active') {
+        continue;
+      }
+
+      const { variant, error } = resolveVariant(product, item.variant);
+      if (error) {
+        continue;
+      }
+
+      if (product.getStock(variant) > 0 || !product.inventory.trackInventory) {
+        const price = product.getPrice(variant);
+        const itemTotal = price * item.quantity;
         subtotal += itemTotal;
         totalItems += item.quantity;
 
@@ -39,12 +73,16 @@ router.get('/', authenticate, async (req, res) => {
           product: {
             _id: product._id,
             title: product.title,
-            price: product.price,
+            price,
             images: product.images,
             category: product.category,
             brand: product.brand,
-            inventory: product.inventory
+            inventory: {
+              quantity: product.getStock(variant),
+              trackInventory: product.inventory.trackInventory
+            }
           },
+          variant: describeVariant(variant),
           quantity: item.quantity,
           itemTotal: itemTotal
         });
@@ -55,6 +93,7 @@ router.get('/', authenticate, async (req, res) => {
     if (validCartItems.length !== user.cart.items.length) {
       user.cart.items = validCartItems.map(item => ({
         product: item.product._id,
+        variant: item.variant ? item.variant._id : null,
         quantity: item.quantity
       }));
       user.cart.lastUpdated = new Date();
@@ -93,6 +132,7 @@ router.get('/', authenticate, async (req, res) => {
 router.post('/', [
   authenticate,
   body('productId').isMongoId().withMessage('Invalid product ID'),
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Invalid variant ID'),
   body('quantity').isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99')
 ], async (req, res) => {
   try {
@@ -106,6 +146,7 @@ router.post('/', [
     }
 
     const { productId, quantity } = req.body;
+    const variantId = req.body.variantId || null;
 
     // Check if product exists and is available
     const product = await Product.findById(productId);
@@ -123,30 +164,37 @@ router.post('/', [
       });
     }
 
+    const { variant, error } = resolveVariant(product, variantId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
     // Check inventory
-    if (product.inventory.trackInventory && product.inventory.quantity < quantity) {
+    const stock = product.getStock(variant);
+    if (product.inventory.trackInventory && stock < quantity) {
       return res.status(400).json({
         success: false,
-        message: `Only ${product.inventory.quantity} items available in stock`
+        message: `Only ${stock} items available in stock`
       });
     }
 
     const user = await User.findById(req.user._id);
 
-    // Check if product already in cart
-    const existingItemIndex = user.cart.items.findIndex(item =>
-      item.product.toString() === productId
-    );
+    // Check if product (and variant) already in cart
+    const existingItemIndex = user.findCartItemIndex(productId, variantId);
 
     if (existingItemIndex > -1) {
       // Update quantity
       const newQuantity = user.cart.items[existingItemIndex].quantity + quantity;
 
       // Check inventory for new total
-      if (product.inventory.trackInventory && product.inventory.quantity < newQuantity) {
+      if (product.inventory.trackInventory && stock < newQuantity) {
         return res.status(400).json({
           success: false,
-          message: `Cannot add ${quantity} more items. Only ${product.inventory.quantity - user.cart.items[existingItemIndex].quantity} additional items available`
+          message: `Cannot add ${quantity} more items. Only ${stock - user.cart.items[existingItemIndex].quantity} additional items available`
         });
       }
 
@@ -155,6 +203,7 @@ router.post('/', [
       // Add new item
       user.cart.items.push({
         product: productId,
+        variant: variantId,
         quantity
       });
     }
@@ -168,7 +217,8 @@ router.post('/', [
       select: 'title price images category brand inventory'
     });
 
-    const addedItem = user.cart.items.find(item => item.product._id.toString() === productId);
+    const addedItem = user.cart.items[user.findCartItemIndex(productId, variantId)];
+    const price = product.getPrice(variant);
 
     res.status(201).json({
       success: true,
@@ -176,8 +226,9 @@ router.post('/', [
       data: {
         item: {
           product: addedItem.product,
+          variant: describeVariant(variant),
           quantity: addedItem.quantity,
-          itemTotal: addedItem.product.price * addedItem.quantity
+          itemTotal: price * addedItem.quantity
         }
       }
     });
@@ -196,6 +247,7 @@ router.post('/', [
 router.put('/:productId', [
   authenticate,
   param('productId').isMongoId().withMessage('Valid product ID is required'),
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Invalid variant ID'),
   body('quantity').isInt({ min: 0, max: 99 }).withMessage('Quantity must be between 0 and 99')
 ], async (req, res) => {
   try {
@@ -210,12 +262,11 @@ router.put('/:productId', [
 
     const { productId } = req.params;
     const { quantity } = req.body;
+    const variantId = req.body.variantId || null;
 
     const user = await User.findById(req.user._id);
 
-    const itemIndex = user.cart.items.findIndex(
-      item => item.product.toString() === productId
-    );
+    const itemIndex = user.findCartItemIndex(productId, variantId);
 
     if (itemIndex === -1) {
       return res.status(404).json({
@@ -237,10 +288,19 @@ router.put('/:productId', [
         });
       }
 
-      if (product.inventory.trackInventory && product.inventory.quantity < quantity) {
+      const { variant, error } = resolveVariant(product, variantId);
+      if (error) {
         return res.status(400).json({
           success: false,
-          message: `Only ${product.inventory.quantity} items available in stock`
+          message: error
+        });
+      }
+
+      const stock = product.getStock(variant);
+      if (product.inventory.trackInventory && stock < quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${stock} items available in stock`
         });
       }
 
@@ -268,7 +328,8 @@ router.put('/:productId', [
 // @access  Private
 router.delete('/:productId', [
   authenticate,
-  param('productId').isMongoId().withMessage('Valid product ID is required')
+  param('productId').isMongoId().withMessage('Valid product ID is required'),
+  query('variantId').optional().isMongoId().withMessage('Invalid variant ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -283,9 +344,7 @@ router.delete('/:productId', [
     const { productId } = req.params;
     const user = await User.findById(req.user._id);
 
-    const itemIndex = user.cart.items.findIndex(
-      item => item.product.toString() === productId
-    );
+    const itemIndex = user.findCartItemIndex(productId, req.query.variantId || null);
 
     if (itemIndex === -1) {
       return res.status(404).json({
@@ -342,6 +401,7 @@ router.post('/merge', [
   authenticate,
   body('guestCart').isArray().withMessage('Guest cart must be an array'),
   body('guestCart.*.productId').isMongoId().withMessage('Valid product ID required'),
+  body('guestCart.*.variantId').optional({ nullable: true }).isMongoId().withMessage('Invalid variant ID'),
   body('guestCart.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be positive')
 ], async (req, res) => {
   try {
@@ -365,27 +425,33 @@ router.post('/merge', [
         continue; // Skip unavailable products
       }
 
-      if (product.inventory.trackInventory && product.inventory.quantity < guestItem.quantity) {
+      const variantId = guestItem.variantId || null;
+      const { variant, error } = resolveVariant(product, variantId);
+      if (error) {
+        continue; // Skip missing or unavailable variants
+      }
+
+      const stock = product.getStock(variant);
+      if (product.inventory.trackInventory && stock < guestItem.quantity) {
         continue; // Skip if insufficient inventory
       }
 
       // Check if item already in user cart
-      const existingItemIndex = user.cart.items.findIndex(
-        item => item.product.toString() === guestItem.productId
-      );
+      const existingItemIndex = user.findCartItemIndex(guestItem.productId, variantId);
 
       if (existingItemIndex > -1) {
         // Update quantity (take the higher quantity)
         const currentQty = user.cart.items[existingItemIndex].quantity;
         const newQty = Math.max(currentQty, guestItem.quantity);
 
-        if (product.inventory.trackInventory && product.inventory.quantity >= newQty) {
+        if (product.inventory.trackInventory && stock >= newQty) {
           user.cart.items[existingItemIndex].quantity = newQty;
         }
       } else {
         // Add new item
         user.cart.items.push({
           product: guestItem.productId,
+          variant: variantId,
           quantity: guestItem.quantity
         });
       }
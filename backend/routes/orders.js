@@ -4,26 +4,33 @@ const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Payment = require('../models/Payment');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const Location = require('../models/Location');
+const { authenticate, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
 const { sendOrderNotification } = require('../services/emailService');
+const stockReservationService = require('../services/stockReservationService');
+const { runInTransaction } = require('../services/transactionService');
 
 const router = express.Router();
 
 // @route   POST /api/orders
 // @desc    Create a new order
-// @access  Private
+// @access  Private (verified email)
 router.post('/', [
   authenticate,
+  requireVerifiedEmail,
   body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
   body('items.*.productId').isMongoId().withMessage('Valid product ID required'),
+  body('items.*.variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID required'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('shippingAddress.firstName').trim().isLength({ min: 1, max: 50 }).withMessage('First name is required and cannot exceed 50 characters'),
-  body('shippingAddress.lastName').trim().isLength({ min: 1, max: 50 }).withMessage('Last name is required and cannot exceed 50 characters'),
-  body('shippingAddress.email').isEmail().normalizeEmail().withMessage('Valid email is required'),
-  body('shippingAddress.phone').isLength({ min: 10, max: 15 }).withMessage('Phone number must be between 10 and 15 characters'),
-  body('shippingAddress.address').trim().isLength({ min: 5, max: 200 }).withMessage('Address must be between 5 and 200 characters'),
-  body('shippingAddress.city').trim().isLength({ min: 1, max: 50 }).withMessage('City is required and cannot exceed 50 characters'),
-  body('shippingAddress.state').trim().isLength({ min: 1, max: 50 }).withMessage('State is required and cannot exceed 50 characters'),
+  body('addressId').optional().isMongoId().withMessage('Valid address ID required'),
+  body('billingAddressId').optional().isMongoId().withMessage('Valid billing address ID required'),
+  body('shippingAddress.firstName').if(body('addressId').not().exists()).trim().isLength({ min: 1, max: 50 }).withMessage('First name is required and cannot exceed 50 characters'),
+  body('shippingAddress.lastName').if(body('addressId').not().exists()).trim().isLength({ min: 1, max: 50 }).withMessage('Last name is required and cannot exceed 50 characters'),
+  body('shippingAddress.email').if(body('addressId').not().exists()).isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('shippingAddress.phone').if(body('addressId').not().exists()).isLength({ min: 10, max: 15 }).withMessage('Phone number must be between 10 and 15 characters'),
+  body('shippingAddress.address').if(body('addressId').not().exists()).trim().isLength({ min: 5, max: 200 }).withMessage('Address must be between 5 and 200 characters'),
+  body('shippingAddress.city').if(body('addressId').not().exists()).trim().isLength({ min: 1, max: 50 }).withMessage('City is required and cannot exceed 50 characters'),
+  body('shippingAddress.state').if(body('addressId').not().exists()).trim().isLength({ min: 1, max: 50 }).withMessage('State is required and cannot exceed 50 characters'),
   body('shippingAddress.postalCode').optional().isLength({ min: 1, max: 10 }).withMessage('Postal code cannot exceed 10 characters'),
   body('billingAddress').optional().isObject().withMessage('Billing address must be an object'),
   body('paymentMethod').isIn(['card', 'bank_transfer', 'flutterwave', 'paystack']).withMessage('Invalid payment method')
@@ -38,9 +45,36 @@ router.post('/', [
       });
     }
 
-    const { items, shippingAddress, billingAddress, paymentMethod } = req.body;
+    const { items, addressId, billingAddressId, paymentMethod } = req.body;
     const user = req.user;
 
+    // Resolve saved addresses from the address book
+    let shippingAddress = req.body.shippingAddress;
+    if (addressId) {
+      shippingAddress = user.getOrderAddress(addressId);
+      if (!shippingAddress) {
+        return res.status(400).json({
+          success: false,
+          message: 'Shipping address not found in address book'
+        });
+      }
+    }
+
+    let billingAddress = req.body.billingAddress;
+    if (billingAddressId) {
+      billingAddress = user.getOrderAddress(billingAddressId);
+      if (!billingAddress) {
+        return res.status(400).json({
+          success: false,
+          message: 'Billing address not found in address book'
+        });
+      }
+    }
+
+    // Items ship from a location serving the shipping state when it has the stock,
+    // otherwise from the next location that does
+    const locations = await Location.findForState(shippingAddress.state);
+
     // Validate products and calculate totals
     let subtotal = 0;
     const orderItems = [];
@@ -62,21 +96,44 @@ router.post('/', [
         });
       }
 
-      // Check inventory
-      if (product.inventory.trackInventory && product.inventory.quantity < item.quantity) {
+      // Products with variants are ordered by variant
+      let variant = null;
+      if (product.hasVariants || item.variantId) {
+        variant = product.getVariant(item.variantId);
+        if (!variant) {
+          return res.status(400).json({
+            success: false,
+            message: item.variantId
+              ? `Selected option for ${product.title} is not available`
+              : `Please choose an option for ${product.title}`
+          });
+        }
+      }
+
+      // Check inventory; each item ships whole from a single location
+      const location = product.inventory.trackInventory
+        ? locations.find(candidate => product.getStock(variant, candidate._id) >= item.quantity)
+        : locations[0];
+      if (product.inventory.trackInventory && !location) {
+        const available = Math.max(0, ...locations.map(candidate => product.getStock(variant, candidate._id)));
         return res.status(400).json({
           success: false,
-          message: `Insufficient inventory for ${product.title}. Available: ${product.inventory.quantity}`
+          message: `Insufficient inventory for ${product.title}${variant ? ` (${variant.sku})` : ''}. Available: ${available}`
         });
       }
 
-      const itemTotal = product.price * item.quantity;
+      const price = product.getPrice(variant);
+      const itemTotal = price * item.quantity;
       subtotal += itemTotal;
 
       orderItems.push({
         product: product._id,
+        variant: variant ? variant._id : null,
+        sku: variant ? variant.sku : product.inventory.sku,
+        location: location ? location._id : null,
+        variantOptions: variant ? variant.options : undefined,
         title: product.title,
-        price: product.price,
+        price,
         quantity: item.quantity,
         itemTotal
       });
@@ -90,39 +147,56 @@ router.post('/', [
     // Generate order ID
     const orderId = `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
 
-    // Create order
-    const order = new Order({
-      orderId,
-      user: user._id,
-      items: orderItems,
-      pricing: {
-        subtotal,
-        tax,
-        shipping,
-        total
-      },
-      shippingAddress,
-      billingAddress: billingAddress || shippingAddress,
-      paymentMethod,
-      status: 'pending'
-    });
-
-    await order.save();
+    // Place the order all-or-nothing: stock is taken with conditional updates (so
+    // concurrent checkouts cannot oversell) and the order, its stock reservation,
+    // sales metrics and the emptied cart are written in one transaction
+    let order;
+    let reservation;
+    try {
+      await runInTransaction(async (session) => {
+        order = new Order({
+          orderId,
+          user: user._id,
+          items: orderItems,
+          pricing: {
+            subtotal,
+            tax,
+            shipping,
+            total
+          },
+          shippingAddress,
+          billingAddress: billingAddress || shippingAddress,
+          paymentMethod,
+          status: 'pending'
+        });
 
-    // Update product inventory
-    for (const item of items) {
-      const product = await Product.findById(item.productId);
-      if (product.inventory.trackInventory) {
-        product.inventory.quantity -= item.quantity;
-        await product.save();
-      }
+        // Hold the stock until the order is paid (released again if the payment never completes)
+        reservation = await stockReservationService.reserveOrderStock(order, { session });
+
+        try {
+          await order.save({ session });
+          await Product.recordSales(orderItems, 1, { session });
+
+          // Clear user's cart
+          user.cart.items = [];
+          user.cart.lastUpdated = new Date();
+          await user.save({ session });
+        } catch (error) {
+          // Without a transaction the stock has to be put back by hand
+          if (!session) {
+            await reservation.release('cancelled');
+          }
+          throw error;
+        }
+      });
+    } catch (error) {
+      if (error.message !== 'Insufficient inventory') throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your order have just sold out. Please review your cart.'
+      });
     }
 
-    // Clear user's cart
-    user.cart.items = [];
-    user.cart.lastUpdated = new Date();
-    await user.save();
-
     // Populate order for response
     await order.populate('user', 'firstName lastName email');
 
@@ -137,7 +211,10 @@ router.post('/', [
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      data: { order }
+      data: {
+        order,
+        reservation: { expiresAt: reservation.expiresAt }
+      }
     });
   } catch (error) {
     console.error('Create order error:', error);
@@ -234,8 +311,8 @@ router.get('/:id', [
       });
     }
 
-    // Check if user owns the order or is admin
-    if (order.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    // Check if user owns the order or may view all orders
+    if (order.user.toString() !== req.user._id.toString() && !req.user.hasPermission('orders:read')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -298,24 +375,29 @@ router.put('/:id/cancel', [
       });
     }
 
-    // Restore inventory
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product && product.inventory.trackInventory) {
-        product.inventory.quantity += item.quantity;
-        await product.save();
-      }
+    // Claim the cancellation first, so that of two concurrent requests only one
+    // returns the stock and updates the sales figures
+    const reason = req.body.reason || 'Cancelled by user';
+    const cancelled = await Order.findOneAndUpdate(
+      { _id: order._id, status: { $in: ['pending', 'processing'] } },
+      { $set: { status: 'cancelled', cancellationReason: reason, cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order cannot be cancelled at this stage'
+      });
     }
 
-    order.status = 'cancelled';
-    order.cancellationReason = req.body.reason || 'Cancelled by user';
-    order.cancelledAt = new Date();
-    await order.save();
+    // Release held stock; stock for paid orders (or orders from before reservations) is restored
+    await stockReservationService.returnOrderStock(cancelled, { actor: req.user._id, reason });
+    await Product.recordSales(cancelled.items, -1);
 
     res.json({
       success: true,
       message: 'Order cancelled successfully',
-      data: { order }
+      data: { order: cancelled }
     });
   } catch (error) {
     console.error('Cancel order error:', error);
@@ -331,7 +413,7 @@ router.put('/:id/cancel', [
 // @access  Private/Admin
 router.put('/:id/status', [
   authenticate,
-  requireAdmin,
+  requirePermission('orders:update-status'),
   param('id').isMongoId().withMessage('Valid order ID required'),
   body('status').isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid status'),
   body('trackingNumber').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Tracking number cannot exceed 100 characters'),
@@ -358,6 +440,7 @@ router.put('/:id/status', [
       });
     }
 
+    const previousStatus = order.status;
     order.status = status;
 
     if (trackingNumber) {
@@ -375,7 +458,47 @@ router.put('/:id/status', [
       order.deliveredAt = new Date();
     }
 
-    await order.save();
+    if (previousStatus === 'cancelled' && status !== 'cancelled') {
+      // Reinstating takes the stock again, and only goes ahead if it is still there
+      order.cancelledAt = undefined;
+      order.cancellationReason = undefined;
+      try {
+        await runInTransaction(async (session) => {
+          await stockReservationService.reclaimOrderStock(order, status, { session });
+          await order.save({ session });
+          await Product.recordSales(order.items, 1, { session });
+        });
+      } catch (error) {
+        if (error.message !== 'Insufficient inventory') throw error;
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reinstate the order: some items are out of stock'
+        });
+      }
+    } else if (previousStatus !== 'cancelled' && status === 'cancelled') {
+      // Claim the cancellation first, so that it cannot race a customer's cancel
+      // or the reservation expiry and return the stock twice
+      const claimed = await Order.updateOne(
+        { _id: order._id, status: previousStatus },
+        { $set: { status: 'cancelled' } }
+      );
+      if (!claimed.modifiedCount) {
+        return res.status(409).json({
+          success: false,
+          message: 'Order was updated by another request, please try again'
+        });
+      }
+      await order.save();
+
+      // Cancelling puts the stock back, whether it was held or already paid for
+      await stockReservationService.returnOrderStock(order, {
+        actor: req.user._id,
+        reason: notes || 'Cancelled by admin'
+      });
+      await Product.recordSales(order.items, -1);
+    } else {
+      await order.save();
+    }
 
     res.json({
       success: true,
@@ -394,7 +517,7 @@ router.put('/:id/status', [
 // @route   GET /api/orders/admin/stats
 // @desc    Get order statistics (Admin only)
 // @access  Private/Admin
-router.get('/admin/stats', [authenticate, requireAdmin], async (req, res) => {
+router.get('/admin/stats', [authenticate, requirePermission('orders:read')], async (req, res) => {
   try {
     const stats = await Order.aggregate([
       {
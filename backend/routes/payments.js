@@ -3,15 +3,22 @@ const { body, param, query, validationResult } = require('express-validator');
 const axios = require('axios');
 const Order = require('../models/Order');
 const Payment = require('../models/Payment');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, requireVerifiedEmail, blockImpersonation } = require('../middleware/auth');
+const stockReservationService = require('../services/stockReservationService');
 
 const router = express.Router();
 
+// Payments a gateway can still report a successful charge for. Expired reservations
+// cancel their payments, but the customer may have been charged just before.
+const CONFIRMABLE_PAYMENT_STATUSES = ['pending', 'processing', 'cancelled'];
+
 // @route   POST /api/payments/initiate
 // @desc    Initiate payment for an order
-// @access  Private
+// @access  Private (verified email)
 router.post('/initiate', [
   authenticate,
+  blockImpersonation,
+  requireVerifiedEmail,
   body('orderId').isMongoId().withMessage('Valid order ID required'),
   body('method').isIn(['flutterwave', 'paystack', 'card', 'bank_transfer']).withMessage('Invalid payment method')
 ], async (req, res) => {
@@ -62,6 +69,18 @@ router.post('/initiate', [
       });
     }
 
+    // Hold the stock while the customer pays (taking it again if the reservation lapsed)
+    let reservation;
+    try {
+      reservation = await stockReservationService.holdStockForPayment(order, method);
+    } catch (error) {
+      if (error.message !== 'Insufficient inventory') throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in this order are no longer in stock'
+      });
+    }
+
     // Create payment record
     const payment = new Payment({
       order: orderId,
@@ -74,12 +93,14 @@ router.post('/initiate', [
     });
 
     await payment.save();
+    await stockReservationService.attachPayment(reservation, payment);
 
     let paymentData = {
       paymentId: payment._id,
       amount: payment.amount,
       currency: payment.currency,
-      orderId: order.orderId
+      orderId: order.orderId,
+      reservedUntil: reservation ? reservation.expiresAt : null
     };
 
     // Handle different payment methods
@@ -163,6 +184,7 @@ router.post('/initiate', [
 // @access  Private
 router.post('/verify/:paymentId', [
   authenticate,
+  blockImpersonation,
   param('paymentId').isMongoId().withMessage('Valid payment ID required')
 ], async (req, res) => {
   try {
@@ -191,25 +213,41 @@ router.post('/verify/:paymentId', [
       });
     }
 
-    let verificationResult = { verified: false, message: 'Payment verification failed' };
+    // Bank transfers and other manual payments are confirmed by an admin, so
+    // their stock stays held until then
+    if (!['flutterwave', 'paystack'].includes(payment.gateway)) {
+      return res.status(202).json({
+        success: true,
+        message: payment.method === 'bank_transfer'
+          ? 'Bank transfer payments require manual verification'
+          : 'This payment requires manual verification',
+        data: {
+          payment: {
+            id: payment._id,
+            status: payment.status,
+            amount: payment.amount
+          }
+        }
+      });
+    }
 
     // Verify based on gateway
-    if (payment.gateway === 'flutterwave') {
-      verificationResult = await verifyFlutterwavePayment(payment);
-    } else if (payment.gateway === 'paystack') {
-      verificationResult = await verifyPaystackPayment(payment);
-    } else if (payment.method === 'bank_transfer') {
-      // Manual verification for bank transfers
-      verificationResult = { verified: false, message: 'Bank transfer payments require manual verification' };
-    }
+    const verificationResult = payment.gateway === 'flutterwave'
+      ? await verifyFlutterwavePayment(payment)
+      : await verifyPaystackPayment(payment);
 
     if (verificationResult.verified) {
       // Update payment and order status
       await payment.markCompleted(verificationResult.transactionId, verificationResult.metadata);
 
-      // Update order status
-      payment.order.status = 'processing';
-      await payment.order.save();
+      // Keep the reserved stock and move the order to processing
+      const fulfilled = await stockReservationService.completeOrderPayment(payment.order);
+      if (!fulfilled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Payment received, but this order can no longer be fulfilled. Your payment will be refunded.'
+        });
+      }
 
       res.json({
         success: true,
@@ -229,6 +267,9 @@ router.post('/verify/:paymentId', [
     } else {
       await payment.markFailed(null, verificationResult.message);
 
+      // Free the stock; starting a new payment holds it again if still available
+      await stockReservationService.releaseOrderStock(payment.order._id, 'payment_failed');
+
       res.status(400).json({
         success: false,
         message: verificationResult.message
@@ -329,8 +370,8 @@ router.get('/:id', [
       });
     }
 
-    // Check if user owns the payment or is admin
-    if (payment.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    // Check if user owns the payment or may view all payments
+    if (payment.user.toString() !== req.user._id.toString() && !req.user.hasPermission('payments:read')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -367,21 +408,14 @@ router.post('/webhook/flutterwave', express.raw({ type: 'application/json' }), a
 
     if (data.status === 'successful') {
       const payment = await Payment.findOne({ gatewayReference: data.tx_ref });
-
-      if (payment && payment.status === 'pending') {
-        await payment.markCompleted(data.id, {
-          flutterwaveData: data,
-          amount: data.amount,
-          currency: data.currency
-        });
-
-        // Update order status
-        const order = await Order.findById(payment.order);
-        if (order) {
-          order.status = 'processing';
-          await order.save();
-        }
-      }
+      await confirmWebhookCharge(payment, data.id, {
+        flutterwaveData: data,
+        amount: data.amount,
+        currency: data.currency
+      });
+    } else if (data.status === 'failed') {
+      const payment = await Payment.findOne({ gatewayReference: data.tx_ref });
+      await failWebhookCharge(payment, data.processor_response || 'Payment failed');
     }
 
     res.status(200).json({ status: 'success' });
@@ -407,21 +441,14 @@ router.post('/webhook/paystack', express.raw({ type: 'application/json' }), asyn
 
     if (event === 'charge.success') {
       const payment = await Payment.findOne({ gatewayReference: data.reference });
-
-      if (payment && payment.status === 'pending') {
-        await payment.markCompleted(data.id, {
-          paystackData: data,
-          amount: data.amount / 100, // Convert from kobo
-          currency: data.currency
-        });
-
-        // Update order status
-        const order = await Order.findById(payment.order);
-        if (order) {
-          order.status = 'processing';
-          await order.save();
-        }
-      }
+      await confirmWebhookCharge(payment, data.id, {
+        paystackData: data,
+        amount: data.amount / 100, // Convert from kobo
+        currency: data.currency
+      });
+    } else if (event === 'charge.failed') {
+      const payment = await Payment.findOne({ gatewayReference: data.reference });
+      await failWebhookCharge(payment, data.gateway_response || 'Payment failed');
     }
 
     res.status(200).json({ status: 'success' });
@@ -431,6 +458,33 @@ router.post('/webhook/paystack', express.raw({ type: 'application/json' }), asyn
   }
 });
 
+// Record a charge confirmed by a gateway webhook, then keep the order's stock and
+// move it to processing. A payment that arrives after the reservation expired takes
+// the stock again, or leaves the order flagged for a refund if it sold out.
+async function confirmWebhookCharge(payment, transactionId, metadata) {
+  if (!payment || !CONFIRMABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    return;
+  }
+
+  await payment.markCompleted(transactionId, metadata);
+
+  const order = await Order.findById(payment.order);
+  if (order) {
+    await stockReservationService.completeOrderPayment(order);
+  }
+}
+
+// Record a charge a gateway webhook reports as failed and free the order's stock,
+// as a failed verification does
+async function failWebhookCharge(payment, message) {
+  if (!payment || !['pending', 'processing'].includes(payment.status)) {
+    return;
+  }
+
+  await payment.markFailed(null, message);
+  await stockReservationService.releaseOrderStock(payment.order, 'payment_failed');
+}
+
 // Helper functions for payment verification
 async function verifyFlutterwavePayment(payment) {
   try {
@@ -1,22 +1,106 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const Product = require('../models/Product');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const InventoryMovement = require('../models/InventoryMovement');
+const StockSubscription = require('../models/StockSubscription');
+const User = require('../models/User');
+const { authenticate, requirePermission, blockImpersonation } = require('../middleware/auth');
+const { uploadProductImages } = require('../middleware/upload');
+const imageService = require('../services/imageService');
+const {
+  buildProductFilters,
+  combineFilters,
+  getFacets,
+  withFuzzySearch,
+  suggestProducts
+} = require('../services/productSearchService');
+const { runInTransaction } = require('../services/transactionService');
 
 const router = express.Router();
 
+// Variant details a product edit can change; stock is changed with adjustments
+const VARIANT_FIELDS = ['sku', 'options', 'price', 'images', 'isActive'];
+
+// Name the stock a product edit tries to change, or return null. Stock of the product
+// and its existing variants is only changed with adjustments (a form may send it back
+// unchanged); new variants can come with stock.
+const findStockChange = (product, update) => {
+  const quantity = update.inventory ? update.inventory.quantity : undefined;
+  if (quantity !== undefined && Number(quantity) !== product.inventory.quantity) {
+    return 'Stock';
+  }
+
+  for (const variant of Array.isArray(update.variants) ? update.variants : []) {
+    const existing = variant && variant._id ? product.variants.id(variant._id) : null;
+    const variantQuantity = variant && variant.inventory ? variant.inventory.quantity : undefined;
+    if (existing && variantQuantity !== undefined && Number(variantQuantity) !== existing.inventory.quantity) {
+      return `Stock of variant ${existing.sku}`;
+    }
+  }
+  return null;
+};
+
+// Apply the variants sent with a product edit: existing variants (matched by _id) have
+// their details changed in place and keep their stock, new ones are added and the
+// ones left out are removed
+const updateVariants = (product, variants) => {
+  const sent = new Set(variants.filter(variant => variant._id).map(variant => String(variant._id)));
+  product.variants
+    .filter(variant => !sent.has(variant._id.toString()))
+    .forEach(variant => product.variants.pull(variant._id));
+
+  variants.forEach(variant => {
+    const existing = variant._id ? product.variants.id(variant._id) : null;
+    if (!existing) {
+      product.variants.push(variant);
+      return;
+    }
+    VARIANT_FIELDS
+      .filter(field => variant[field] !== undefined)
+      .forEach(field => existing.set(field, variant[field]));
+  });
+};
+
+// Shape a review for the public listing; reviewers are shown by first name and initial
+const formatReview = (review, reviewers) => {
+  const reviewer = reviewers.get(review.user.toString());
+  return {
+    _id: review._id,
+    rating: review.rating,
+    comment: review.comment,
+    isVerified: review.isVerified,
+    reply: review.reply && review.reply.comment
+      ? { comment: review.reply.comment, repliedAt: review.reply.repliedAt }
+      : null,
+    reviewer: reviewer
+      ? `${reviewer.firstName} ${reviewer.lastName ? `${reviewer.lastName.charAt(0)}.` : ''}`.trim()
+      : 'Customer',
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt
+  };
+};
+
 // @route   GET /api/products
-// @desc    Get all products with filtering and pagination
+// @desc    Get all products with filtering and pagination. category, brand, priceRange
+//          and availability accept several values (repeated or comma-separated);
+//          facets=true adds filter counts for each facet. A search with no
+//          exact word matches falls back to typo-tolerant matching.
 // @access  Public
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('category').optional().isIn(['electronics', 'fashion', 'home', 'sports', 'books', 'beauty', 'toys', 'automotive']).withMessage('Invalid category'),
-  query('brand').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Brand name cannot exceed 50 characters'),
+  query('category').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Category must be a category slug or ID'),
+  query('brand').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Brand filter cannot exceed 500 characters'),
   query('minPrice').optional().isFloat({ min: 0 }).withMessage('Minimum price must be a positive number'),
   query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Maximum price must be a positive number'),
+  query('priceRange').optional().matches(/^(\d+(\.\d+)?)?-(\d+(\.\d+)?)?(,(\d+(\.\d+)?)?-(\d+(\.\d+)?)?)*$/).withMessage('Price range must look like "min-max" (e.g. 5000-10000 or 250000-)'),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('Minimum rating must be between 0 and 5'),
+  query('availability').optional().matches(/^(in_stock|out_of_stock)(,(in_stock|out_of_stock))*$/).withMessage('Availability must be in_stock or out_of_stock'),
+  query('facets').optional().isBoolean().withMessage('Facets must be a boolean value'),
   query('search').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Search query cannot exceed 100 characters'),
-  query('sort').optional().isIn(['price_asc', 'price_desc', 'newest', 'oldest', 'rating', 'featured']).withMessage('Invalid sort option'),
+  query('sort').optional().isIn(['price_asc', 'price_desc', 'newest', 'oldest', 'rating', 'featured', 'best_selling', 'trending']).withMessage('Invalid sort option'),
   query('featured').optional().isBoolean().withMessage('Featured must be a boolean value')
 ], async (req, res) => {
   try {
@@ -33,25 +117,29 @@ router.get('/', [
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const { category, brand, minPrice, maxPrice, search, sort, featured } = req.query;
-
-    // Build filter object
-    const filter = { status: 'active' };
-
-    if (category) filter.category = category;
-    if (brand) filter.brand = new RegExp(brand, 'i');
-    if (featured === 'true') filter.featured = true;
+    const { sort } = req.query;
 
-    // Price range filter
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+    // Build filter object (a category matches its own products and those of every subcategory)
+    let filters = await buildProductFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({
+        success: false,
+        message: filters.error
+      });
     }
+    let filter = combineFilters(filters);
+    let total = await Product.countDocuments(filter);
 
-    // Search filter
-    if (search) {
-      filter.$text = { $search: search };
+    // $text only matches whole words, so retry misspelt or partial searches fuzzily
+    let correctedSearch = null;
+    if (total === 0 && filters.base.$text) {
+      const fuzzyFilters = await withFuzzySearch(filters, req.query.search);
+      if (fuzzyFilters) {
+        filters = fuzzyFilters;
+        filter = combineFilters(filters);
+        total = await Product.countDocuments(filter);
+        correctedSearch = fuzzyFilters.correctedSearch;
+      }
     }
 
     // Sort options
@@ -71,7 +159,13 @@ router.get('/', [
           sortOption = { createdAt: 1 };
           break;
         case 'rating':
-          sortOption = { 'reviews.averageRating': -1 };
+          sortOption = { 'ratings.average': -1, 'ratings.count': -1 };
+          break;
+        case 'best_selling':
+          sortOption = { 'metrics.unitsSold': -1 };
+          break;
+        case 'trending':
+          sortOption = { 'metrics.trendingScore': -1, 'metrics.views': -1 };
           break;
         case 'featured':
           sortOption = { featured: -1, createdAt: -1 };
@@ -81,26 +175,36 @@ router.get('/', [
 
     const products = await Product.find(filter)
       .select('-reviews') // Exclude reviews for performance
+      .populate('category', 'name slug')
       .sort(sortOption)
       .skip(skip)
       .limit(limit);
 
-    const total = await Product.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
+    const data = {
+      products,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    };
+
+    if (correctedSearch) {
+      data.search = { fuzzy: true, correctedSearch };
+    }
+
+    if (req.query.facets === 'true') {
+      data.facets = await getFacets(filters);
+    }
+
     res.json({
       success: true,
-      data: {
-        products,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
-      }
+      data
     });
   } catch (error) {
     console.error('Get products error:', error);
@@ -112,11 +216,11 @@ router.get('/', [
 });
 
 // @route   GET /api/products/categories
-// @desc    Get product categories with counts and min prices
+// @desc    Get the category tree with product counts and price ranges per node
 // @access  Public
 router.get('/categories', async (req, res) => {
   try {
-    const categories = await Product.aggregate([
+    const stats = await Product.aggregate([
       { $match: { status: 'active' } },
       {
         $group: {
@@ -125,19 +229,13 @@ router.get('/categories', async (req, res) => {
           minPrice: { $min: '$price' },
           maxPrice: { $max: '$price' }
         }
-      },
-      {
-        $project: {
-          category: '$_id',
-          count: 1,
-          minPrice: 1,
-          maxPrice: 1,
-          _id: 0
-        }
-      },
-      { $sort: { count: -1 } }
+      }
     ]);
 
+    const categories = await Category.buildTree(
+      new Map(stats.filter(stat => stat._id).map(stat => [stat._id.toString(), stat]))
+    );
+
     res.json({
       success: true,
       data: { categories }
@@ -171,6 +269,7 @@ router.get('/featured', [
 
     const products = await Product.find({ status: 'active', featured: true })
       .select('-reviews') // Exclude reviews for performance
+      .populate('category', 'name slug')
       .sort({ createdAt: -1 })
       .limit(limit);
 
@@ -187,6 +286,44 @@ router.get('/featured', [
   }
 });
 
+// @route   GET /api/products/suggest
+// @desc    Search-as-you-type suggestions: word completions and matching products
+//          (prefix matches first, then close misspellings), ranked by popularity
+// @access  Public
+router.get('/suggest', [
+  query('q').trim().isLength({ min: 1, max: 100 }).withMessage('Query must be between 1 and 100 characters'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 8;
+    const { suggestions, products } = await suggestProducts(req.query.q, { limit });
+
+    res.json({
+      success: true,
+      data: {
+        query: req.query.q,
+        suggestions,
+        products
+      }
+    });
+  } catch (error) {
+    console.error('Product suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving suggestions'
+    });
+  }
+});
+
 // @route   GET /api/products/:id
 // @desc    Get single product
 // @access  Public
@@ -203,7 +340,10 @@ router.get('/:id', [
       });
     }
 
-    const product = await Product.findById(req.params.id);
+    // Reviews are paginated separately (GET /api/products/:id/reviews)
+    const product = await Product.findById(req.params.id)
+      .select('-reviews')
+      .populate('category', 'name slug ancestors');
 
     if (!product) {
       return res.status(404).json({
@@ -219,6 +359,10 @@ router.get('/:id', [
       });
     }
 
+    // Count the view without holding up the response
+    Product.updateOne({ _id: product._id }, { $inc: { 'metrics.views': 1 } })
+      .catch(error => console.error('Record product view error:', error));
+
     res.json({
       success: true,
       data: { product }
@@ -237,17 +381,29 @@ router.get('/:id', [
 // @access  Private/Admin
 router.post('/', [
   authenticate,
-  requireAdmin,
+  requirePermission('products:write'),
   body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title is required and cannot exceed 200 characters'),
   body('description').trim().isLength({ min: 10, max: 2000 }).withMessage('Description must be between 10 and 2000 characters'),
   body('price').isFloat({ min: 0.01 }).withMessage('Price must be greater than 0'),
-  body('category').isIn(['electronics', 'fashion', 'home', 'sports', 'books', 'beauty', 'toys', 'automotive']).withMessage('Invalid category'),
+  body('category').trim().isLength({ min: 1, max: 100 }).withMessage('Category is required (slug or ID)'),
   body('brand').trim().isLength({ min: 1, max: 50 }).withMessage('Brand is required and cannot exceed 50 characters'),
   body('sku').trim().isLength({ min: 1, max: 50 }).withMessage('SKU is required and cannot exceed 50 characters'),
   body('images').optional().isArray().withMessage('Images must be an array'),
   body('images.*').optional().isURL().withMessage('Each image must be a valid URL'),
   body('inventory.quantity').isInt({ min: 0 }).withMessage('Inventory quantity must be a non-negative integer'),
   body('inventory.trackInventory').optional().isBoolean().withMessage('Track inventory must be a boolean'),
+  body('inventory.lowStockThreshold').optional().isInt({ min: 0 }).withMessage('Low-stock threshold must be a non-negative integer'),
+  body('variantOptions').optional().isArray({ max: 3 }).withMessage('Variant options must be an array of at most 3 options'),
+  body('variantOptions.*.name').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Each variant option needs a name (max 30 characters)'),
+  body('variantOptions.*.values').optional().isArray({ min: 1 }).withMessage('Each variant option needs at least one value'),
+  body('variants').optional().isArray({ max: 100 }).withMessage('Variants must be an array of at most 100 variants'),
+  body('variants.*.sku').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Each variant needs a SKU (max 50 characters)'),
+  body('variants.*.options').optional().isObject().withMessage('Variant options must be an object, e.g. { "size": "42" }'),
+  body('variants.*.price').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Variant price must be greater than 0'),
+  body('variants.*.inventory.quantity').optional().isInt({ min: 0 }).withMessage('Variant quantity must be a non-negative integer'),
+  body('variants.*.images').optional().isArray().withMessage('Variant images must be an array'),
+  body('variants.*.images.*.url').optional().isURL().withMessage('Each variant image must have a valid URL'),
+  body('variants.*.isActive').optional().isBoolean().withMessage('Variant isActive must be a boolean'),
   body('featured').optional().isBoolean().withMessage('Featured must be a boolean'),
   body('tags').optional().isArray().withMessage('Tags must be an array'),
   body('tags.*').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Each tag cannot exceed 30 characters')
@@ -262,10 +418,18 @@ router.post('/', [
       });
     }
 
-    const { title, description, price, category, brand, sku, images, inventory, featured, tags } = req.body;
+    const { title, description, price, category, brand, sku, images, inventory, variantOptions, variants, featured, tags } = req.body;
+
+    const categoryDoc = await Category.findBySlugOrId(category);
+    if (!categoryDoc) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category'
+      });
+    }
 
-    // Check if SKU already exists
-    const existingProduct = await Product.findOne({ sku });
+    // Check if SKU already exists (it is stored uppercase as inventory.sku)
+    const existingProduct = await Product.findOne({ 'inventory.sku': sku.toUpperCase() });
     if (existingProduct) {
       return res.status(400).json({
         success: false,
@@ -277,20 +441,25 @@ router.post('/', [
       title,
       description,
       price,
-      category,
+      category: categoryDoc._id,
       brand,
-      sku,
       images: images || [],
       inventory: {
+        sku,
         quantity: inventory.quantity,
-        trackInventory: inventory.trackInventory !== false
+        trackInventory: inventory.trackInventory !== false,
+        lowStockThreshold: inventory.lowStockThreshold
       },
+      variantOptions: variantOptions || [],
+      variants: variants || [],
       featured: featured || false,
       tags: tags || [],
-      status: 'active'
+      status: 'active',
+      createdBy: req.user._id
     });
 
     await product.save();
+    await InventoryMovement.recordSnapshotChanges(product, new Map(), { type: 'initial', actor: req.user._id });
 
     res.status(201).json({
       success: true,
@@ -298,6 +467,13 @@ router.post('/', [
       data: { product }
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ msg: err.message, path: err.path }))
+      });
+    }
     console.error('Create product error:', error);
     res.status(500).json({
       success: false,
@@ -311,18 +487,31 @@ router.post('/', [
 // @access  Private/Admin
 router.put('/:id', [
   authenticate,
-  requireAdmin,
+  requirePermission('products:write'),
   param('id').isMongoId().withMessage('Valid product ID required'),
   body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title cannot exceed 200 characters'),
   body('description').optional().trim().isLength({ min: 10, max: 2000 }).withMessage('Description must be between 10 and 2000 characters'),
   body('price').optional().isFloat({ min: 0.01 }).withMessage('Price must be greater than 0'),
-  body('category').optional().isIn(['electronics', 'fashion', 'home', 'sports', 'books', 'beauty', 'toys', 'automotive']).withMessage('Invalid category'),
+  body('category').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Category must be a category slug or ID'),
   body('brand').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Brand cannot exceed 50 characters'),
   body('sku').optional().trim().isLength({ min: 1, max: 50 }).withMessage('SKU cannot exceed 50 characters'),
   body('images').optional().isArray().withMessage('Images must be an array'),
   body('images.*').optional().isURL().withMessage('Each image must be a valid URL'),
+  body('inventory.sku').optional().trim().isLength({ min: 1, max: 50 }).withMessage('SKU cannot exceed 50 characters'),
   body('inventory.quantity').optional().isInt({ min: 0 }).withMessage('Inventory quantity must be a non-negative integer'),
   body('inventory.trackInventory').optional().isBoolean().withMessage('Track inventory must be a boolean'),
+  body('inventory.lowStockThreshold').optional().isInt({ min: 0 }).withMessage('Low-stock threshold must be a non-negative integer'),
+  body('variantOptions').optional().isArray({ max: 3 }).withMessage('Variant options must be an array of at most 3 options'),
+  body('variantOptions.*.name').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Each variant option needs a name (max 30 characters)'),
+  body('variantOptions.*.values').optional().isArray({ min: 1 }).withMessage('Each variant option needs at least one value'),
+  body('variants').optional().isArray({ max: 100 }).withMessage('Variants must be an array of at most 100 variants'),
+  body('variants.*.sku').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Each variant needs a SKU (max 50 characters)'),
+  body('variants.*.options').optional().isObject().withMessage('Variant options must be an object, e.g. { "size": "42" }'),
+  body('variants.*.price').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Variant price must be greater than 0'),
+  body('variants.*.inventory.quantity').optional().isInt({ min: 0 }).withMessage('Variant quantity must be a non-negative integer'),
+  body('variants.*.images').optional().isArray().withMessage('Variant images must be an array'),
+  body('variants.*.images.*.url').optional().isURL().withMessage('Each variant image must have a valid URL'),
+  body('variants.*.isActive').optional().isBoolean().withMessage('Variant isActive must be a boolean'),
   body('featured').optional().isBoolean().withMessage('Featured must be a boolean'),
   body('status').optional().isIn(['active', 'inactive', 'discontinued']).withMessage('Invalid status'),
   body('tags').optional().isArray().withMessage('Tags must be an array'),
@@ -347,26 +536,53 @@ router.put('/:id', [
       });
     }
 
-    const allowedFields = ['title', 'description', 'price', 'category', 'brand', 'sku', 'images', 'inventory', 'featured', 'status', 'tags'];
+    // Checkouts change stock while the product is being edited, so it is not saved from here
+    const stockChange = findStockChange(product, req.body);
+    if (stockChange) {
+      return res.status(400).json({
+        success: false,
+        message: `${stockChange} cannot be changed when editing a product; use POST /api/admin/products/${product._id}/inventory/adjustments`
+      });
+    }
+
+    const allowedFields = ['title', 'description', 'price', 'category', 'brand', 'images', 'variantOptions', 'featured', 'status', 'tags'];
     const updates = {};
 
     // Only update provided fields
     allowedFields.forEach(field => {
       if (req.body[field] !== undefined) {
-        if (field === 'inventory') {
-          updates.inventory = {
-            ...product.inventory.toObject(),
-            ...req.body.inventory
-          };
-        } else {
-          updates[field] = req.body[field];
-        }
+        updates[field] = req.body[field];
+      }
+    });
+
+    // Inventory settings are set one by one, so that only they are written
+    const inventory = {};
+    ['sku', 'trackInventory', 'lowStockThreshold'].forEach(field => {
+      if (req.body.inventory && req.body.inventory[field] !== undefined) {
+        inventory[field] = req.body.inventory[field];
       }
     });
 
+    if (updates.category) {
+      const categoryDoc = await Category.findBySlugOrId(updates.category);
+      if (!categoryDoc) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category'
+        });
+      }
+      updates.category = categoryDoc._id;
+    }
+
+    // A top-level SKU (as sent on create) updates inventory.sku
+    if (req.body.sku !== undefined) {
+      inventory.sku = req.body.sku;
+    }
+
     // Check if SKU is being changed and if it already exists
-    if (updates.sku && updates.sku !== product.sku) {
-      const existingProduct = await Product.findOne({ sku: updates.sku });
+    const sku = inventory.sku ? inventory.sku.toUpperCase() : null;
+    if (sku && sku !== product.inventory.sku) {
+      const existingProduct = await Product.findOne({ 'inventory.sku': sku });
       if (existingProduct) {
         return res.status(400).json({
           success: false,
@@ -375,15 +591,45 @@ router.put('/:id', [
       }
     }
 
-    Object.assign(product, updates);
-    await product.save();
+    // Only the changed paths are saved. Adding and removing variants rewrites the
+    // variants, which the transaction keeps from overwriting a concurrent checkout.
+    const updated = await runInTransaction(async (session) => {
+      const current = await Product.findById(product._id).session(session);
+      if (!current) {
+        return null;
+      }
+
+      const stockBefore = current.getStockSnapshot();
+      Object.assign(current, updates);
+      Object.entries(inventory).forEach(([field, value]) => current.set(`inventory.${field}`, value));
+      if (Array.isArray(req.body.variants)) {
+        updateVariants(current, req.body.variants);
+      }
+      await current.save({ session });
+      await InventoryMovement.recordSnapshotChanges(current, stockBefore, { type: 'product_update', actor: req.user._id }, { session });
+      return current;
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
 
     res.json({
       success: true,
       message: 'Product updated successfully',
-      data: { product }
+      data: { product: updated }
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ msg: err.message, path: err.path }))
+      });
+    }
     console.error('Update product error:', error);
     res.status(500).json({
       success: false,
@@ -397,7 +643,7 @@ router.put('/:id', [
 // @access  Private/Admin
 router.delete('/:id', [
   authenticate,
-  requireAdmin,
+  requirePermission('products:write'),
   param('id').isMongoId().withMessage('Valid product ID required')
 ], async (req, res) => {
   try {
@@ -436,4 +682,550 @@ router.delete('/:id', [
   }
 });
 
+// @route   POST /api/products/:id/images
+// @desc    Upload product (or variant) images; thumbnail, medium and WebP versions are generated
+// @access  Private/Admin
+router.post('/:id/images', [
+  authenticate,
+  requirePermission('products:write'),
+  uploadProductImages,
+  param('id').isMongoId().withMessage('Valid product ID required'),
+  body('variantId').optional().isMongoId().withMessage('Valid variant ID required'),
+  body('alt').optional().custom(value => [].concat(value).every(text => typeof text === 'string' && text.length <= 200)).withMessage('Alt text cannot exceed 200 characters'),
+  body('isPrimary').optional().isBoolean().withMessage('isPrimary must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload at least one image in the "images" field'
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    let images = product.images;
+    if (req.body.variantId) {
+      const variant = product.variants.id(req.body.variantId);
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variant not found'
+        });
+      }
+      images = variant.images;
+    }
+
+    // Check every file's contents before storing anything
+    for (const file of req.files) {
+      try {
+        await imageService.validateImage(file.buffer);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `${file.originalname}: ${error.message}`
+        });
+      }
+    }
+
+    // One alt text for all files, or one per file
+    const altTexts = [].concat(req.body.alt ?? []);
+    const added = [];
+    for (const [index, file] of req.files.entries()) {
+      const image = await imageService.processImage(file.buffer, {
+        folder: `products/${product._id}`,
+        alt: (altTexts.length > 1 ? altTexts[index] : altTexts[0]) || product.title
+      });
+      images.push(image);
+      added.push(images[images.length - 1]);
+    }
+
+    // The first uploaded image becomes primary on request, or when there was none
+    if (req.body.isPrimary === 'true' || req.body.isPrimary === true || !images.some(image => image.isPrimary)) {
+      product.setPrimaryImage(images, added[0]._id);
+    }
+
+    try {
+      await product.save();
+    } catch (error) {
+      await Promise.all(added.map(image => imageService.removeImageFiles(image).catch(() => {})));
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${added.length} image(s) uploaded successfully`,
+      data: { images: added }
+    });
+  } catch (error) {
+    console.error('Upload product images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading images'
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/images/:imageId
+// @desc    Update an image's alt text or make it the primary image
+// @access  Private/Admin
+router.put('/:id/images/:imageId', [
+  authenticate,
+  requirePermission('products:write'),
+  param('id').isMongoId().withMessage('Valid product ID required'),
+  param('imageId').isMongoId().withMessage('Valid image ID required'),
+  body('alt').optional().isString().isLength({ max: 200 }).withMessage('Alt text cannot exceed 200 characters'),
+  body('isPrimary').optional().isBoolean().withMessage('isPrimary must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    const found = product && product.findImage(req.params.imageId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    if (req.body.alt !== undefined) {
+      found.image.alt = req.body.alt;
+    }
+    if (req.body.isPrimary === true) {
+      product.setPrimaryImage(found.images, found.image._id);
+    }
+
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Image updated successfully',
+      data: { image: found.image }
+    });
+  } catch (error) {
+    console.error('Update product image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating image'
+    });
+  }
+});
+
+// @route   DELETE /api/products/:id/images/:imageId
+// @desc    Delete an image and its stored files
+// @access  Private/Admin
+router.delete('/:id/images/:imageId', [
+  authenticate,
+  requirePermission('products:write'),
+  param('id').isMongoId().withMessage('Valid product ID required'),
+  param('imageId').isMongoId().withMessage('Valid image ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    const found = product && product.findImage(req.params.imageId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const { image, images } = found;
+    images.pull(image._id);
+    if (image.isPrimary && images.length > 0) {
+      product.setPrimaryImage(images, images[0]._id);
+    }
+
+    await product.save();
+    await imageService.removeImageFiles(image);
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete product image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting image'
+    });
+  }
+});
+
+// @route   GET /api/products/:id/reviews
+// @desc    Get approved reviews with a rating breakdown
+// @access  Public
+router.get('/:id/reviews', [
+  param('id').isMongoId().withMessage('Valid product ID required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  query('verified').optional().isBoolean().withMessage('Verified must be a boolean value'),
+  query('sort').optional().isIn(['newest', 'oldest', 'rating_desc', 'rating_asc']).withMessage('Invalid sort option')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const product = await Product.findOne({ _id: req.params.id, status: 'active' }).select('reviews ratings');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const approved = product.reviews.filter(review => review.status === 'approved');
+    const breakdown = [5, 4, 3, 2, 1].map(stars => ({
+      rating: stars,
+      count: approved.filter(review => review.rating === stars).length
+    }));
+
+    let reviews = approved;
+    if (req.query.rating) {
+      reviews = reviews.filter(review => review.rating === parseInt(req.query.rating));
+    }
+    if (req.query.verified === 'true') {
+      reviews = reviews.filter(review => review.isVerified);
+    }
+
+    const sorters = {
+      newest: (a, b) => b.createdAt - a.createdAt,
+      oldest: (a, b) => a.createdAt - b.createdAt,
+      rating_desc: (a, b) => b.rating - a.rating || b.createdAt - a.createdAt,
+      rating_asc: (a, b) => a.rating - b.rating || b.createdAt - a.createdAt
+    };
+    reviews = [...reviews].sort(sorters[req.query.sort || 'newest']);
+
+    const total = reviews.length;
+    const totalPages = Math.ceil(total / limit);
+    const pageReviews = reviews.slice(skip, skip + limit);
+
+    const reviewers = await User.find({ _id: { $in: pageReviews.map(review => review.user) } })
+      .select('firstName lastName');
+    const reviewersById = new Map(reviewers.map(user => [user._id.toString(), user]));
+
+    res.json({
+      success: true,
+      data: {
+        ratings: product.ratings,
+        breakdown,
+        reviews: pageReviews.map(review => formatReview(review, reviewersById)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get product reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving reviews'
+    });
+  }
+});
+
+const reviewValidation = [
+  param('id').isMongoId().withMessage('Valid product ID required'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Review comment cannot exceed 500 characters')
+];
+
+// @route   POST /api/products/:id/reviews
+// @desc    Review a product (shown once approved by a moderator)
+// @access  Private
+router.post('/:id/reviews', [
+  authenticate,
+  blockImpersonation,
+  ...reviewValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, status: 'active' });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.findReview(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    const isVerified = await Order.hasDeliveredProduct(req.user._id, product._id);
+    await product.addReview(req.user._id, req.body.rating, req.body.comment, { isVerified });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted and awaiting moderation',
+      data: { review: product.findReview(req.user._id) }
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error submitting review'
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/reviews
+// @desc    Edit your review (it goes back to moderation)
+// @access  Private
+router.put('/:id/reviews', [
+  authenticate,
+  blockImpersonation,
+  ...reviewValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, status: 'active' });
+
+    if (!product || !product.findReview(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const isVerified = await Order.hasDeliveredProduct(req.user._id, product._id);
+    await product.addReview(req.user._id, req.body.rating, req.body.comment, { isVerified });
+
+    res.json({
+      success: true,
+      message: 'Review updated and awaiting moderation',
+      data: { review: product.findReview(req.user._id) }
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating review'
+    });
+  }
+});
+
+// @route   DELETE /api/products/:id/reviews
+// @desc    Delete your review
+// @access  Private
+router.delete('/:id/reviews', [
+  authenticate,
+  blockImpersonation,
+  param('id').isMongoId().withMessage('Valid product ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    const review = product && product.findReview(req.user._id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    product.reviews.pull(review._id);
+    product.updateRatings();
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting review'
+    });
+  }
+});
+
+// @route   POST /api/products/:id/notify
+// @desc    Get an email when an out-of-stock product (or variant) is available again
+// @access  Private
+router.post('/:id/notify', [
+  authenticate,
+  blockImpersonation,
+  param('id').isMongoId().withMessage('Valid product ID required'),
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, status: 'active' })
+      .select('title status inventory variants');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const variant = req.body.variantId ? product.variants.id(req.body.variantId) : null;
+    if (req.body.variantId && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant not found for this product'
+      });
+    }
+
+    if (product.isInStock(variant)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This item is in stock'
+      });
+    }
+
+    const subscription = await StockSubscription.subscribe(req.user._id, product._id, variant ? variant._id : null);
+
+    res.status(201).json({
+      success: true,
+      message: "We'll email you when this item is back in stock",
+      data: { subscription }
+    });
+  } catch (error) {
+    console.error('Stock notification subscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error subscribing to stock notifications'
+    });
+  }
+});
+
+// @route   DELETE /api/products/:id/notify
+// @desc    Stop waiting for a product (or ?variantId=) to be back in stock
+// @access  Private
+router.delete('/:id/notify', [
+  authenticate,
+  blockImpersonation,
+  param('id').isMongoId().withMessage('Valid product ID required'),
+  query('variantId').optional().isMongoId().withMessage('Valid variant ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { deletedCount } = await StockSubscription.deleteOne({
+      product: req.params.id,
+      variant: req.query.variantId || null,
+      user: req.user._id,
+      status: 'pending'
+    });
+
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock notification cancelled'
+    });
+  } catch (error) {
+    console.error('Stock notification unsubscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling stock notification'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
+const path = require('path');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 const app = express();
@@ -25,13 +27,99 @@ app.use('/api/', limiter);
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+
+// Uploaded files (local storage adapter). Images are loaded cross-origin by the frontend.
+app.use('/uploads', express.static(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'), {
+  maxAge: '30d',
+  immutable: true,
+  setHeaders: (res) => res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
+// One-off data migrations, run on every start (each is a no-op once applied)
+const runStartupMigrations = async () => {
+  // Create built-in roles, drop retired permissions from roles and move legacy
+  // isAdmin users to the owner role
+  const Role = require('./models/Role');
+  const User = require('./models/User');
+  await Role.ensureBuiltInRoles();
+  await Role.removeRetiredPermissions();
+  const ownerRole = await Role.findByName('owner');
+  const { modifiedCount } = await User.migrateAdminsToRole(ownerRole._id);
+  if (modifiedCount > 0) {
+    console.log(`Migrated ${modifiedCount} admin(s) to the owner role`);
+  }
+
+  // Accounts from before email verification keep ordering without verifying again
+  const { modifiedCount: grandfathered } = await User.grandfatherEmailVerification();
+  if (grandfathered > 0) {
+    console.log(`Marked ${grandfathered} existing account(s) as email-verified`);
+  }
+
+  // Move products from the old fixed category names to Category documents
+  const Category = require('./models/Category');
+  const Product = require('./models/Product');
+  const migratedProducts = await Category.migrateLegacyCategories(Product.collection);
+  if (migratedProducts > 0) {
+    console.log(`Migrated ${migratedProducts} product(s) to the category collection`);
+  }
+
+  // Create a default stock location and book stock from before locations there
+  const Location = require('./models/Location');
+  await Location.ensureDefaultLocation();
+  const locatedProducts = await Product.migrateStockToLocations();
+  if (locatedProducts > 0) {
+    console.log(`Booked stock of ${locatedProducts} product(s) at the default location`);
+  }
+};
+
+// Periodic jobs. They start whether or not the migrations succeeded, so a failed
+// migration never leaves expired reservations holding stock.
+const startBackgroundJobs = () => {
+  // Recalculate "trending" scores from recent orders every hour
+  const Product = require('./models/Product');
+  const refreshTrending = () => Product.refreshTrendingScores()
+    .catch(error => console.error('Refresh trending scores error:', error));
+  refreshTrending();
+  setInterval(refreshTrending, 60 * 60 * 1000).unref();
+
+  // Return stock held for orders that were not paid in time
+  const { releaseExpiredReservations } = require('./services/stockReservationService');
+  setInterval(() => {
+    releaseExpiredReservations()
+      .then(released => {
+        if (released > 0) {
+          console.log(`Released stock for ${released} expired reservation(s)`);
+        }
+      })
+      .catch(error => console.error('Release expired reservations error:', error));
+  }, 60 * 1000).unref();
+
+  // Alert admins to low stock and tell customers when items they wait for are back
+  const { processStockAlerts } = require('./services/stockAlertService');
+  const checkStockAlerts = () => processStockAlerts()
+    .then(({ lowStockAlerts, subscribersNotified }) => {
+      if (lowStockAlerts > 0 || subscribersNotified > 0) {
+        console.log(`Stock alerts: ${lowStockAlerts} low-stock item(s), ${subscribersNotified} subscriber(s) notified`);
+      }
+    })
+    .catch(error => console.error('Stock alerts error:', error));
+  checkStockAlerts();
+  setInterval(checkStockAlerts, 5 * 60 * 1000).unref();
+};
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/shopease', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+
+  runStartupMigrations()
+    .catch(error => console.error('Startup migration error:', error));
+  startBackgroundJobs();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -1,7 +1,7 @@
 const nodemailer = require('nodemailer');
 
 // Create transporter
-const transporter = nodemailer.createTransporter({
+const transporter = nodemailer.createTransport({
   service: 'gmail',
   auth: {
     user: process.env.EMAIL_USER,
@@ -9,6 +9,27 @@ const transporter = nodemailer.createTransporter({
   }
 });
 
+// Wrap email content in the standard ShopEase layout
+const renderEmailLayout = (title, content) => `
+  <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; background-color: #f9f9f9; padding: 20px;">
+    <div style="background-color: #ffffff; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+      <h1 style="color: #007bff; text-align: center; margin-bottom: 30px;">${title}</h1>
+      ${content}
+      <div style="text-align: center; margin-top: 30px; color: #666; font-size: 14px;">
+        <p>This is an automated notification from ShopEase.</p>
+      </div>
+    </div>
+  </div>
+`;
+
+// Render a call-to-action button
+const renderButton = (url, label) => `
+  <div style="text-align: center; margin: 30px 0;">
+    <a href="${url}" style="background-color: #007bff; color: #ffffff; padding: 12px 30px; border-radius: 5px; text-decoration: none; font-weight: bold;">${label}</a>
+  </div>
+  <p style="color: #666; font-size: 14px;">If the button doesn't work, copy and paste this link into your browser:<br>${url}</p>
+`;
+
 // Send order notification email
 const sendOrderNotification = async (order, user) => {
   const mailOptions = {
@@ -94,6 +115,181 @@ const sendOrderNotification = async (order, user) => {
   }
 };
 
+// Send email verification link to a newly registered user
+const sendVerificationEmail = async (user, token) => {
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${token}`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: 'Verify your ShopEase email address',
+    html: renderEmailLayout('Verify Your Email', `
+      <p>Hi ${user.firstName},</p>
+      <p>Thanks for creating a ShopEase account. Please confirm your email address to start placing orders.</p>
+      ${renderButton(verifyUrl, 'Verify Email')}
+      <p style="color: #666; font-size: 14px;">This link expires in 24 hours. If you didn't create an account, you can ignore this email.</p>
+    `)
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Verification email sent to ${user.email}`);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    throw error;
+  }
+};
+
+// Send password reset link
+const sendPasswordResetEmail = async (user, token) => {
+  const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: 'Reset your ShopEase password',
+    html: renderEmailLayout('Password Reset Request', `
+      <p>Hi ${user.firstName},</p>
+      <p>We received a request to reset the password for your ShopEase account.</p>
+      ${renderButton(resetUrl, 'Reset Password')}
+      <p style="color: #666; font-size: 14px;">This link expires in 1 hour and can only be used once. If you didn't request a password reset, you can safely ignore this email.</p>
+    `)
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Password reset email sent to ${user.email}`);
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    throw error;
+  }
+};
+
+// Notify the account owner that their account was locked after failed logins
+const sendAccountLockedEmail = async (user, lockUntil, ipAddress) => {
+  const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: 'Your ShopEase account has been temporarily locked',
+    html: renderEmailLayout('Account Temporarily Locked', `
+      <p>Hi ${user.firstName},</p>
+      <p>We locked your ShopEase account after several failed sign-in attempts.</p>
+      <p><strong>Locked until:</strong> ${new Date(lockUntil).toLocaleString()}</p>
+      <p><strong>Last attempt from IP:</strong> ${ipAddress || 'Unknown'}</p>
+      <p>If this was you, you can sign in again once the lock expires. If it wasn't, we recommend resetting your password.</p>
+      ${renderButton(resetUrl, 'Reset Password')}
+    `)
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Account locked email sent to ${user.email}`);
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    throw error;
+  }
+};
+
+// Send a passwordless sign-in link
+const sendMagicLinkEmail = async (user, token) => {
+  const loginUrl = `${process.env.FRONTEND_URL}/magic-link?token=${token}`;
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: 'Your ShopEase sign-in link',
+    html: renderEmailLayout('Sign In to ShopEase', `
+      <p>Hi ${user.firstName},</p>
+      <p>Click the button below to sign in to your ShopEase account. No password needed.</p>
+      ${renderButton(loginUrl, 'Sign In')}
+      <p style="color: #666; font-size: 14px;">This link expires in 15 minutes and can only be used once. If you didn't request it, you can ignore this email.</p>
+    `)
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Magic link email sent to ${user.email}`);
+  } catch (error) {
+    console.error('Error sending magic link email:', error);
+    throw error;
+  }
+};
+
+// Alert the store admins to products that ran low. items: [{ title, sku, quantity, threshold }]
+const sendLowStockAlert = async (items) => {
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: process.env.ADMIN_ALERT_EMAIL || process.env.EMAIL_USER,
+    subject: `Low stock: ${items.length} item${items.length === 1 ? '' : 's'} need restocking`,
+    html: renderEmailLayout('Low Stock Alert', `
+      <p>The following items are at or below their low-stock threshold:</p>
+      <table style="width: 100%; border-collapse: collapse;">
+        <thead>
+          <tr style="background-color: #f8f9fa;">
+            <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">Product</th>
+            <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">SKU</th>
+            <th style="border: 1px solid #ddd; padding: 12px; text-align: center;">In Stock</th>
+            <th style="border: 1px solid #ddd; padding: 12px; text-align: center;">Threshold</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${items.map(item => `
+            <tr>
+              <td style="border: 1px solid #ddd; padding: 12px;">${item.title}</td>
+              <td style="border: 1px solid #ddd; padding: 12px;">${item.sku || '-'}</td>
+              <td style="border: 1px solid #ddd; padding: 12px; text-align: center;${item.quantity === 0 ? ' color: #dc3545; font-weight: bold;' : ''}">${item.quantity}</td>
+              <td style="border: 1px solid #ddd; padding: 12px; text-align: center;">${item.threshold}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `)
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Low stock alert sent for ${items.length} item(s)`);
+  } catch (error) {
+    console.error('Error sending low stock alert:', error);
+    throw error;
+  }
+};
+
+// Tell a customer that a product (or the variant they wanted) is available again
+const sendBackInStockEmail = async (user, product, variant = null) => {
+  const options = variant
+    ? [...variant.options].map(([name, value]) => `${name}: ${value}`).join(', ')
+    : null;
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: `Back in stock: ${product.title}`,
+    html: renderEmailLayout('Back in Stock', `
+      <p>Hi ${user.firstName},</p>
+      <p>Good news! <strong>${product.title}</strong>${options ? ` (${options})` : ''} is available again.</p>
+      <p>Stock can run out quickly, so order soon if you'd still like it.</p>
+      ${renderButton(process.env.FRONTEND_URL, 'Shop Now')}
+    `)
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Back in stock email sent to ${user.email}`);
+  } catch (error) {
+    console.error('Error sending back in stock email:', error);
+    throw error;
+  }
+};
+
 module.exports = {
-  sendOrderNotification
+  sendOrderNotification,
+  sendMagicLinkEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendLowStockAlert,
+  sendBackInStockEmail
 };
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storageService');
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_DIMENSION = 2000; // originals are scaled down to fit in this box
+
+// Generated sizes (longest side, in pixels)
+const IMAGE_SIZES = {
+  thumbnail: 200,
+  medium: 800
+};
+
+const FILE_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+const CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+// Encode an image in the given format
+const encode = (pipeline, format) => {
+  if (format === 'jpeg') return pipeline.jpeg({ quality: 85, mozjpeg: true });
+  if (format === 'png') return pipeline.png({ compressionLevel: 9 });
+  return pipeline.webp({ quality: 80 });
+};
+
+// Check the actual file contents (not just the declared MIME type) and return the format
+const detectFormat = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new Error('File is not a valid image');
+  }
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new Error('Only JPEG, PNG and WebP images are allowed');
+  }
+  return metadata.format;
+};
+
+// Resize an image (auto-rotated, metadata stripped) and store it in its own format and as WebP
+const storeRendition = async (buffer, format, maxSize, keyPrefix, storage, storedKeys) => {
+  const resized = sharp(buffer)
+    .rotate()
+    .resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true });
+
+  const { data, info } = await encode(resized.clone(), format).toBuffer({ resolveWithObject: true });
+  const key = `${keyPrefix}.${FILE_EXTENSIONS[format]}`;
+  const url = await storage.save(key, data, { contentType: CONTENT_TYPES[format] });
+  storedKeys.push(key);
+
+  let webpUrl = url;
+  if (format !== 'webp') {
+    const webp = await encode(resized.clone(), 'webp').toBuffer();
+    const webpKey = `${keyPrefix}.webp`;
+    webpUrl = await storage.save(webpKey, webp, { contentType: CONTENT_TYPES.webp });
+    storedKeys.push(webpKey);
+  }
+
+  return { url, webpUrl, width: info.width, height: info.height };
+};
+
+// Validate, resize and store an uploaded image. Returns the Product image fields.
+const processImage = async (buffer, { folder, alt = '' }) => {
+  const format = await detectFormat(buffer);
+  const storage = getStorage();
+  const name = `${folder}/${crypto.randomBytes(12).toString('hex')}`;
+  const storedKeys = [];
+
+  try {
+    const original = await storeRendition(buffer, format, MAX_DIMENSION, name, storage, storedKeys);
+    const sizes = {};
+    for (const [size, maxSize] of Object.entries(IMAGE_SIZES)) {
+      sizes[size] = await storeRendition(buffer, format, maxSize, `${name}-${size}`, storage, storedKeys);
+    }
+
+    return {
+      ...original,
+      alt,
+      sizes,
+      storageKeys: storedKeys
+    };
+  } catch (error) {
+    await Promise.all(storedKeys.map(key => storage.remove(key).catch(() => {})));
+    throw error;
+  }
+};
+
+// Delete every stored file for an image
+const removeImageFiles = async (image) => {
+  const storage = getStorage();
+  await Promise.all((image.storageKeys || []).map(key => storage.remove(key)));
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  IMAGE_SIZES,
+  validateImage: detectFormat,
+  processImage,
+  removeImageFiles
+};
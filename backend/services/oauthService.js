@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const OAuthState = require('../models/OAuthState');
+const { getProviderSettings } = require('../config/oauth');
+
+const DISCOVERY_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// Base64url helper for PKCE and random values
+const randomUrlSafe = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// Build the S256 PKCE code challenge for a verifier
+const createCodeChallenge = (codeVerifier) => {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+};
+
+// Get the enabled provider settings, or null if the provider isn't configured
+const getProvider = (name) => getProviderSettings()[name] || null;
+
+// List the enabled providers
+const listProviders = () => Object.values(getProviderSettings()).map(provider => ({
+  name: provider.name,
+  type: provider.type
+}));
+
+// Fetch (and cache) the OpenID Connect discovery document for an issuer
+const discover = async (issuer) => {
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.fetchedAt > Date.now() - DISCOVERY_CACHE_TTL) {
+    return cached.document;
+  }
+
+  const { data } = await axios.get(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  discoveryCache.set(issuer, { document: data, fetchedAt: Date.now() });
+  return data;
+};
+
+// Resolve the endpoints for a provider (discovered for OIDC, preset for OAuth 2.0)
+const getEndpoints = async (provider) => {
+  if (provider.type !== 'oidc') {
+    return {
+      authorizationEndpoint: provider.authorizationEndpoint,
+      tokenEndpoint: provider.tokenEndpoint,
+      userInfoEndpoint: provider.userInfoEndpoint
+    };
+  }
+
+  const document = await discover(provider.issuer);
+  return {
+    issuer: document.issuer,
+    authorizationEndpoint: document.authorization_endpoint,
+    tokenEndpoint: document.token_endpoint,
+    userInfoEndpoint: document.userinfo_endpoint,
+    jwksUri: document.jwks_uri
+  };
+};
+
+// Start an authorization-code + PKCE flow and return the URL to send the user to.
+// Pass the logged-in user's id to start a flow that links the provider to them.
+const createAuthorizationUrl = async (provider, { userId = null } = {}) => {
+  const endpoints = await getEndpoints(provider);
+  const state = randomUrlSafe();
+  const codeVerifier = randomUrlSafe(48);
+  const nonce = provider.type === 'oidc' ? randomUrlSafe() : undefined;
+
+  await OAuthState.create({ state, provider: provider.name, nonce, codeVerifier, user: userId });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+  if (nonce) {
+    params.set('nonce', nonce);
+  }
+
+  return `${endpoints.authorizationEndpoint}?${params.toString()}`;
+};
+
+// Get the signing key for an ID token from the provider's JWKS
+const getSigningKey = async (jwksUri, kid) => {
+  let keys = jwksCache.get(jwksUri);
+  let jwk = keys?.find(key => key.kid === kid);
+
+  // Refetch when the key is unknown (providers rotate keys)
+  if (!jwk) {
+    const { data } = await axios.get(jwksUri);
+    keys = data.keys || [];
+    jwksCache.set(jwksUri, keys);
+    jwk = keys.find(key => key.kid === kid) || (keys.length === 1 && !kid ? keys[0] : null);
+  }
+
+  if (!jwk) {
+    throw new Error('ID token signing key not found');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verify an ID token's signature, issuer, audience, expiry and nonce
+const verifyIdToken = async (idToken, provider, endpoints, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(endpoints.jwksUri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer: endpoints.issuer,
+    audience: provider.clientId
+  });
+
+  if (!nonce || claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Load the profile for a plain OAuth 2.0 provider using its access token
+const fetchOAuth2Profile = async (provider, accessToken) => {
+  const headers = { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' };
+  const { data } = await axios.get(provider.userInfoEndpoint, { headers });
+  const profile = provider.mapProfile(data);
+
+  // GitHub only exposes verification status through the emails endpoint
+  if (provider.emailsEndpoint) {
+    const { data: emails } = await axios.get(provider.emailsEndpoint, { headers });
+    const primary = emails.find(entry => entry.primary && entry.verified);
+    if (primary) {
+      profile.email = primary.email;
+      profile.emailVerified = true;
+    }
+  }
+
+  return profile;
+};
+
+// Complete the flow: check state, exchange the code (with the PKCE verifier)
+// and return the normalized provider profile. Link flows pass the user's id,
+// which must match the user who started the flow.
+const handleCallback = async (provider, { code, state }, { userId = null } = {}) => {
+  const pending = await OAuthState.consume(state, provider.name, userId);
+  if (!pending) {
+    throw new Error('Invalid or expired OAuth state');
+  }
+
+  const endpoints = await getEndpoints(provider);
+
+  const { data: tokens } = await axios.post(endpoints.tokenEndpoint, new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    client_secret: provider.clientSecret,
+    code_verifier: pending.codeVerifier
+  }).toString(), {
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    }
+  });
+
+  if (provider.type === 'oidc') {
+    if (!tokens.id_token) {
+      throw new Error('Provider did not return an ID token');
+    }
+
+    const claims = await verifyIdToken(tokens.id_token, provider, endpoints, pending.nonce);
+    return {
+      subject: String(claims.sub),
+      email: claims.email,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      firstName: claims.given_name || (claims.name || '').split(' ')[0],
+      lastName: claims.family_name || (claims.name || '').split(' ').slice(1).join(' ')
+    };
+  }
+
+  if (!tokens.access_token) {
+    throw new Error('Provider did not return an access token');
+  }
+
+  return fetchOAuth2Profile(provider, tokens.access_token);
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  createAuthorizationUrl,
+  handleCallback
+};
@@ -0,0 +1,305 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const InventoryMovement = require('../models/InventoryMovement');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Fields an import may set, as Product paths. Everything else is ignored.
+const IMPORT_FIELDS = [
+  'inventory.sku',
+  'title',
+  'description',
+  'price',
+  'category',
+  'brand',
+  'status',
+  'featured',
+  'tags',
+  'images',
+  'inventory.quantity',
+  'inventory.trackInventory',
+  'inventory.lowStockThreshold',
+  'shipping.weight',
+  'shipping.dimensions.length',
+  'shipping.dimensions.width',
+  'shipping.dimensions.height',
+  'shipping.freeShipping',
+  'seo.metaTitle',
+  'seo.metaDescription',
+  'seo.slug',
+  'variantOptions',
+  'variants'
+];
+
+// CSV column order for exports (same names the import accepts)
+const EXPORT_COLUMNS = IMPORT_FIELDS;
+
+// Fields stored as JSON inside a CSV cell
+const JSON_FIELDS = ['variantOptions', 'variants'];
+
+// Fields stored as "|"-separated lists inside a CSV cell
+const LIST_FIELDS = ['tags', 'images'];
+
+// Parse RFC 4180 CSV text into an array of objects keyed by the header row
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...data] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return data.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index]])));
+};
+
+// Quote a value for a CSV cell when needed
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Flatten nested plain objects into dotted paths (arrays are kept whole)
+const flatten = (record, prefix = '', output = {}) => {
+  for (const [key, value] of Object.entries(record)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !JSON_FIELDS.includes(path)) {
+      flatten(value, path, output);
+    } else {
+      output[path] = value;
+    }
+  }
+  return output;
+};
+
+// Turn an uploaded CSV row or JSON object into Product path updates.
+// Empty cells are skipped so a sparse file only updates the columns it sets.
+const normalizeRecord = (record) => {
+  const flat = flatten(record);
+  // Accept a bare "sku" column as shorthand for inventory.sku
+  if (flat.sku !== undefined && flat['inventory.sku'] === undefined) {
+    flat['inventory.sku'] = flat.sku;
+  }
+
+  const updates = {};
+  for (const path of IMPORT_FIELDS) {
+    let value = flat[path];
+    if (value === undefined || value === '') continue;
+
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (JSON_FIELDS.includes(path)) {
+        try {
+          value = JSON.parse(value);
+        } catch (error) {
+          throw new Error(`${path} must be valid JSON`);
+        }
+      } else if (LIST_FIELDS.includes(path)) {
+        value = value.split('|').map(entry => entry.trim()).filter(Boolean);
+      }
+    }
+
+    if (path === 'images') {
+      value = value.map((image, index) => (typeof image === 'string' ? { url: image, isPrimary: index === 0 } : image));
+    }
+
+    updates[path] = value;
+  }
+
+  const ignoredFields = Object.keys(flat).filter(path => path !== 'sku' && !IMPORT_FIELDS.includes(path));
+  return { updates, ignoredFields };
+};
+
+// Convert Mongoose validation errors into row-level messages
+const describeValidationError = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }));
+  }
+  if (error.code === 11000) {
+    const [path, value] = Object.entries(error.keyValue || {})[0] || ['unknown', ''];
+    return [{ path, msg: `${path} "${value}" is already used by another product` }];
+  }
+  return [{ path: null, msg: error.message }];
+};
+
+// Create or update products keyed by inventory.sku. With dryRun nothing is
+// written; every row is still validated against the Product schema.
+const importProducts = async (records, { userId, dryRun = false }) => {
+  const summary = { dryRun, total: records.length, created: 0, updated: 0, failed: 0 };
+  const errors = [];
+  const ignoredFields = new Set();
+  const seenSkus = new Set();
+  const categoryCache = new Map();
+
+  for (const [index, record] of records.entries()) {
+    const row = index + 1;
+    const fail = (sku, rowErrors) => {
+      summary.failed++;
+      errors.push({ row, sku, errors: rowErrors });
+    };
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      fail(null, [{ path: null, msg: 'Row must be an object' }]);
+      continue;
+    }
+
+    let updates;
+    try {
+      const normalized = normalizeRecord(record);
+      updates = normalized.updates;
+      normalized.ignoredFields.forEach(path => ignoredFields.add(path));
+    } catch (error) {
+      fail(record.sku || null, [{ path: null, msg: error.message }]);
+      continue;
+    }
+
+    const sku = updates['inventory.sku'] ? String(updates['inventory.sku']).toUpperCase() : null;
+    if (!sku) {
+      fail(null, [{ path: 'inventory.sku', msg: 'SKU is required' }]);
+      continue;
+    }
+    if (seenSkus.has(sku)) {
+      fail(sku, [{ path: 'inventory.sku', msg: 'SKU appears more than once in this file' }]);
+      continue;
+    }
+    seenSkus.add(sku);
+
+    // Categories are given by slug (as exported) or id
+    if (updates.category !== undefined) {
+      const key = String(updates.category).toLowerCase();
+      if (!categoryCache.has(key)) {
+        categoryCache.set(key, await Category.findBySlugOrId(key));
+      }
+      const category = categoryCache.get(key);
+      if (!category) {
+        fail(sku, [{ path: 'category', msg: `Category "${updates.category}" not found` }]);
+        continue;
+      }
+      updates.category = category._id;
+    }
+
+    try {
+      let product = await Product.findOne({ 'inventory.sku': sku });
+      const isNew = !product;
+      if (isNew) {
+        product = new Product({ createdBy: userId });
+      }
+      const stockBefore = isNew ? new Map() : product.getStockSnapshot();
+      product.set(updates);
+
+      await product.validate();
+      if (!dryRun) {
+        await product.save();
+        await InventoryMovement.recordSnapshotChanges(product, stockBefore, {
+          type: 'import',
+          actor: userId,
+          reason: `Catalogue import, row ${row}`
+        });
+      }
+
+      if (isNew) {
+        summary.created++;
+      } else {
+        summary.updated++;
+      }
+    } catch (error) {
+      fail(sku, describeValidationError(error));
+    }
+  }
+
+  return { summary, errors, ignoredFields: [...ignoredFields] };
+};
+
+// Shape a (lean) product for JSON export; the same shape can be imported again.
+// categorySlugs maps category ids to slugs.
+const toExportRecord = (product, categorySlugs = new Map()) => ({
+  sku: product.inventory?.sku,
+  title: product.title,
+  description: product.description,
+  price: product.price,
+  category: product.category ? categorySlugs.get(product.category.toString()) || product.category.toString() : undefined,
+  brand: product.brand,
+  status: product.status,
+  featured: product.featured,
+  tags: product.tags,
+  images: (product.images || []).map(({ url, alt, isPrimary }) => ({ url, alt, isPrimary })),
+  inventory: {
+    quantity: product.inventory?.quantity,
+    trackInventory: product.inventory?.trackInventory,
+    lowStockThreshold: product.inventory?.lowStockThreshold
+  },
+  shipping: product.shipping,
+  seo: product.seo,
+  variantOptions: product.variantOptions || [],
+  variants: product.variants || []
+});
+
+// Render an export record as a CSV line in EXPORT_COLUMNS order
+const toCsvRow = (record) => {
+  const flat = flatten(record);
+  flat['inventory.sku'] = record.sku;
+
+  return EXPORT_COLUMNS.map(path => {
+    const value = flat[path];
+    if (JSON_FIELDS.includes(path)) {
+      return toCsvCell(value && value.length ? JSON.stringify(value) : '');
+    }
+    if (path === 'images') {
+      return toCsvCell((value || []).map(image => image.url).join('|'));
+    }
+    if (path === 'tags') {
+      return toCsvCell((value || []).join('|'));
+    }
+    return toCsvCell(value);
+  }).join(',');
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  EXPORT_COLUMNS,
+  parseCsv,
+  importProducts,
+  toExportRecord,
+  toCsvRow
+};
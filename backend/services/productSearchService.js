@@ -0,0 +1,385 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+// Price bucket boundaries (₦) for the price facet; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 5000, 10000, 25000, 50000, 100000, 250000];
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+const MAX_BRAND_FACETS = 50;
+
+// Popularity ranking for suggestions and fuzzy matches
+const POPULARITY_SORT = { 'metrics.unitsSold': -1, 'ratings.count': -1, 'metrics.views': -1, createdAt: -1 };
+
+// Search vocabulary (distinct words of active product titles, brands and tags)
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+const MAX_TERM_EXPANSIONS = 10;
+let vocabularyCache = { words: null, loadedAt: 0 };
+
+// Escape user input for use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Read a multi-select query value: ?brand=a&brand=b or ?brand=a,b
+const parseMultiValue = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value)
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+};
+
+// Parse "min-max" price ranges ("250000-" is open-ended)
+const parsePriceRange = (range) => {
+  const match = /^(\d+(?:\.\d+)?)?-(\d+(?:\.\d+)?)?$/.exec(range);
+  if (!match || (match[1] === undefined && match[2] === undefined)) {
+    return null;
+  }
+  const clause = {};
+  if (match[1] !== undefined) clause.$gte = parseFloat(match[1]);
+  if (match[2] !== undefined) clause.$lt = parseFloat(match[2]);
+  return clause;
+};
+
+// Build the product filter from the listing query. Returns the base filter
+// (always applied) and one clause per facet, so each facet's counts can be
+// computed with every filter except its own. Returns { error } for unknown categories.
+const buildProductFilters = async (query) => {
+  const base = { status: 'active' };
+  const clauses = {};
+
+  if (query.search) {
+    base.$text = { $search: query.search };
+  }
+  if (query.featured === 'true') {
+    base.featured = true;
+  }
+
+  // Categories match their subcategories too
+  const categoryValues = parseMultiValue(query.category);
+  if (categoryValues.length > 0) {
+    const ids = [];
+    for (const value of categoryValues) {
+      const category = await Category.findBySlugOrId(value);
+      if (!category) {
+        return { error: `Invalid category "${value}"` };
+      }
+      ids.push(...await Category.getSubtreeIds(category._id));
+    }
+    clauses.category = { category: { $in: ids } };
+  }
+
+  const brands = parseMultiValue(query.brand);
+  if (brands.length > 0) {
+    clauses.brand = { brand: { $in: brands.map(brand => new RegExp(`^${escapeRegExp(brand)}$`, 'i')) } };
+  }
+
+  const priceClauses = parseMultiValue(query.priceRange).map(parsePriceRange).filter(Boolean);
+  if (query.minPrice || query.maxPrice) {
+    const range = {};
+    if (query.minPrice) range.$gte = parseFloat(query.minPrice);
+    if (query.maxPrice) range.$lte = parseFloat(query.maxPrice);
+    priceClauses.push(range);
+  }
+  if (priceClauses.length > 0) {
+    clauses.price = priceClauses.length === 1
+      ? { price: priceClauses[0] }
+      : { $or: priceClauses.map(range => ({ price: range })) };
+  }
+
+  if (query.minRating) {
+    clauses.rating = { 'ratings.average': { $gte: parseFloat(query.minRating) } };
+  }
+
+  const availability = parseMultiValue(query.availability);
+  if (availability.length === 1) {
+    clauses.availability = availability[0] === 'in_stock'
+      ? { $or: [{ 'inventory.trackInventory': false }, { 'inventory.quantity': { $gt: 0 } }] }
+      : { 'inventory.trackInventory': { $ne: false }, 'inventory.quantity': { $lte: 0 } };
+  }
+
+  return { base, clauses };
+};
+
+// Combine the base filter with facet clauses, optionally leaving one facet out
+const combineFilters = ({ base, clauses }, except = null) => {
+  const parts = Object.entries(clauses)
+    .filter(([facet]) => facet !== except)
+    .map(([, clause]) => clause);
+  return parts.length > 0 ? { ...base, $and: parts } : { ...base };
+};
+
+// Split text into lowercase ASCII words ("Nike Air-Max" -> ["nike", "air", "max"])
+const tokenize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Edit distance where swapping two neighbouring letters counts as one typo
+// (optimal string alignment), giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a word of this length
+const allowedTypos = (term) => {
+  if (term.length < 4) return 0;
+  if (term.length < 8) return 1;
+  return 2;
+};
+
+// Load (and cache) the search vocabulary
+const getSearchVocabulary = async () => {
+  if (vocabularyCache.words && Date.now() - vocabularyCache.loadedAt < VOCABULARY_TTL_MS) {
+    return vocabularyCache.words;
+  }
+
+  const words = new Set();
+  const cursor = Product.find({ status: 'active' }).select('title brand tags').lean().cursor();
+  for await (const product of cursor) {
+    [product.title, product.brand, ...(product.tags || [])].forEach(text => {
+      tokenize(text).forEach(word => words.add(word));
+    });
+  }
+
+  vocabularyCache = { words: [...words], loadedAt: Date.now() };
+  return vocabularyCache.words;
+};
+
+// Vocabulary words a search term may mean, closest first. Words the term
+// starts (allowing for typos) also match: "jord" and "jrod" -> "jordan".
+const expandTerm = (term, vocabulary) => {
+  const maxTypos = allowedTypos(term);
+  const matches = [];
+
+  for (const word of vocabulary) {
+    let distance = editDistance(term, word, maxTypos);
+    if (distance > maxTypos && word.length > term.length) {
+      distance = editDistance(term, word.slice(0, term.length), maxTypos) + 0.5;
+    }
+    if (distance <= maxTypos + 0.5) {
+      matches.push({ word, distance });
+    }
+  }
+
+  return matches
+    .sort((a, b) => a.distance - b.distance || a.word.length - b.word.length)
+    .slice(0, MAX_TERM_EXPANSIONS)
+    .map(match => match.word);
+};
+
+// Match products with a word in the title, brand or tags starting with one of the given words
+const wordMatchClause = (words) => {
+  const pattern = new RegExp(`(^|[^a-z0-9])(${words.map(escapeRegExp).join('|')})`, 'i');
+  return { $or: [{ title: pattern }, { brand: pattern }, { tags: pattern }] };
+};
+
+// Typo-tolerant replacement for a $text search: every word of the search must
+// match, start or nearly match a word in the product title, brand or tags.
+// Returns null when some word matches nothing in the catalogue.
+const buildFuzzySearch = async (search) => {
+  const terms = [...new Set(tokenize(search))];
+  if (terms.length === 0) return null;
+
+  const vocabulary = await getSearchVocabulary();
+  const expansions = terms.map(term => expandTerm(term, vocabulary));
+  if (expansions.some(words => words.length === 0)) return null;
+
+  return {
+    clause: { $and: expansions.map(wordMatchClause) },
+    terms: expansions.map(words => words[0])
+  };
+};
+
+// Swap the $text search in a set of listing filters for a fuzzy match.
+// Returns null when the fuzzy search cannot match anything either.
+const withFuzzySearch = async (filters, search) => {
+  const fuzzy = await buildFuzzySearch(search);
+  if (!fuzzy) return null;
+
+  const { $text, ...base } = filters.base;
+  return {
+    base,
+    clauses: { ...filters.clauses, search: fuzzy.clause },
+    correctedSearch: fuzzy.terms.join(' ')
+  };
+};
+
+// Autocomplete: products whose title, brand or tags start with the typed words,
+// then close (typo-tolerant) matches, each group ranked by popularity.
+const suggestProducts = async (text, { limit = 8 } = {}) => {
+  const terms = tokenize(text);
+  if (terms.length === 0) {
+    return { suggestions: [], products: [] };
+  }
+
+  const select = 'title brand price images seo.slug category ratings';
+  const prefixFilter = { status: 'active', $and: terms.map(term => wordMatchClause([term])) };
+  const products = await Product.find(prefixFilter)
+    .select(select)
+    .sort(POPULARITY_SORT)
+    .limit(limit)
+    .lean();
+
+  const vocabulary = await getSearchVocabulary();
+  const lastTerm = terms[terms.length - 1];
+  const completions = expandTerm(lastTerm, vocabulary);
+
+  if (products.length < limit) {
+    const fuzzy = await buildFuzzySearch(text);
+    if (fuzzy) {
+      const more = await Product.find({
+        status: 'active',
+        _id: { $nin: products.map(product => product._id) },
+        ...fuzzy.clause
+      })
+        .select(select)
+        .sort(POPULARITY_SORT)
+        .limit(limit - products.length)
+        .lean();
+      products.push(...more);
+    }
+  }
+
+  const leading = terms.slice(0, -1).join(' ');
+  return {
+    suggestions: completions.map(word => (leading ? `${leading} ${word}` : word)),
+    products: products.map(product => ({
+      _id: product._id,
+      title: product.title,
+      brand: product.brand,
+      price: product.price,
+      slug: product.seo?.slug,
+      category: product.category,
+      ratings: product.ratings,
+      image: (product.images || []).find(image => image.isPrimary) || (product.images || [])[0] || null
+    }))
+  };
+};
+
+// Facet counts for the current filters. Each facet ignores its own selection so
+// the storefront can show how many products each additional choice would add.
+const getFacets = async (filters) => {
+  const matchExcept = (facet) => {
+    const { $text, ...rest } = combineFilters(filters, facet);
+    return rest;
+  };
+
+  // $text may only appear in the first stage, so it is applied once up front
+  const pipeline = [
+    { $match: filters.base.$text ? { $text: filters.base.$text } : {} },
+    {
+      $facet: {
+        category: [
+          { $match: matchExcept('category') },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+          { $unwind: '$category' },
+          { $project: { _id: 0, value: '$category.slug', label: '$category.name', count: 1 } },
+          { $sort: { count: -1, label: 1 } }
+        ],
+        brand: [
+          { $match: { ...matchExcept('brand'), brand: { $nin: [null, ''] } } },
+          { $group: { _id: { $toLower: '$brand' }, label: { $first: '$brand' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, label: 1 } },
+          { $limit: MAX_BRAND_FACETS },
+          { $project: { _id: 0, value: '$label', label: 1, count: 1 } }
+        ],
+        price: [
+          { $match: matchExcept('price') },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: 'above',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        rating: [
+          { $match: matchExcept('rating') },
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(RATING_THRESHOLDS.map(threshold => [
+                `gte${threshold}`,
+                { $sum: { $cond: [{ $gte: ['$ratings.average', threshold] }, 1, 0] } }
+              ]))
+            }
+          }
+        ],
+        availability: [
+          { $match: matchExcept('availability') },
+          {
+            $group: {
+              _id: {
+                $cond: [
+                  { $or: [{ $eq: ['$inventory.trackInventory', false] }, { $gt: ['$inventory.quantity', 0] }] },
+                  'in_stock',
+                  'out_of_stock'
+                ]
+              },
+              count: { $sum: 1 }
+            }
+          }
+        ]
+      }
+    }
+  ];
+
+  const [result] = await Product.aggregate(pipeline);
+  const lastBoundary = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+  const ratingCounts = result.rating[0] || {};
+  const availabilityCounts = new Map(result.availability.map(entry => [entry._id, entry.count]));
+
+  return {
+    category: result.category,
+    brand: result.brand,
+    price: result.price.map(bucket => {
+      if (bucket._id === 'above') {
+        return { value: `${lastBoundary}-`, min: lastBoundary, max: null, count: bucket.count };
+      }
+      const max = PRICE_BUCKETS[PRICE_BUCKETS.indexOf(bucket._id) + 1];
+      return { value: `${bucket._id}-${max}`, min: bucket._id, max, count: bucket.count };
+    }),
+    rating: RATING_THRESHOLDS.map(threshold => ({
+      value: threshold,
+      label: `${threshold} stars & up`,
+      count: ratingCounts[`gte${threshold}`] || 0
+    })),
+    availability: ['in_stock', 'out_of_stock'].map(value => ({
+      value,
+      count: availabilityCounts.get(value) || 0
+    }))
+  };
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  POPULARITY_SORT,
+  escapeRegExp,
+  parseMultiValue,
+  buildProductFilters,
+  combineFilters,
+  getFacets,
+  withFuzzySearch,
+  suggestProducts
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
+
+// Build a short human-readable device label from the user agent
+const describeDevice = (userAgent = '') => {
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : null;
+  const platform = /Android/.test(userAgent) ? 'Android'
+    : /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+// Issue an access/refresh token pair bound to a session
+const issueTokens = (session) => {
+  const refreshToken = generateRefreshToken(session.user, session._id, session.refreshTokenId);
+  const { exp } = jwt.decode(refreshToken);
+
+  session.expiresAt = new Date(exp * 1000);
+
+  return {
+    token: generateToken(session.user, session._id),
+    refreshToken
+  };
+};
+
+// Start a new session (token family) for a user signing in on a device
+const createSession = async (user, req) => {
+  const userAgent = req.get('User-Agent') || '';
+
+  const session = new Session({
+    user: user._id,
+    refreshTokenId: crypto.randomUUID(),
+    device: req.body?.deviceName || describeDevice(userAgent),
+    ipAddress: req.ip,
+    userAgent: userAgent.substring(0, 500),
+    expiresAt: new Date()
+  });
+
+  const tokens = issueTokens(session);
+  await session.save();
+
+  return { ...tokens, session };
+};
+
+// Rotate a refresh token. Returns null if the token is invalid. Presenting a
+// refresh token that has already been rotated revokes the whole family.
+const rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return null;
+  }
+
+  if (!decoded.sessionId || !decoded.jti) {
+    return null;
+  }
+
+  const session = await Session.findOne({ _id: decoded.sessionId, user: decoded.userId });
+  if (!session || !session.isActive) {
+    return null;
+  }
+
+  const nextTokenId = crypto.randomUUID();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenId: decoded.jti, revokedAt: null },
+    { refreshTokenId: nextTokenId },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // A stale refresh token was replayed: assume it was stolen and kill the family
+    console.warn(`Refresh token reuse detected for session ${session._id} (user ${session.user})`);
+    await session.revoke('token_reuse');
+    return null;
+  }
+
+  rotated.lastUsedAt = new Date();
+  rotated.ipAddress = req.ip;
+  const tokens = issueTokens(rotated);
+  await rotated.save();
+
+  return { ...tokens, session: rotated };
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  describeDevice
+};
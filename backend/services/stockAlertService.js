@@ -0,0 +1,191 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const InventoryMovement = require('../models/InventoryMovement');
+const StockSubscription = require('../models/StockSubscription');
+const { sendLowStockAlert, sendBackInStockEmail } = require('./emailService');
+
+// Products changed shortly before the previous check are looked at again, in case
+// a transaction that changed them committed after that check ran
+const RECHECK_OVERLAP_MS = 60 * 1000;
+
+// Product fields needed to check stock levels
+const STOCK_FIELDS = 'title status inventory variants._id variants.sku variants.options variants.inventory variants.isActive';
+
+let lastCheckStartedAt = null;
+
+// Ids of the products whose stock, threshold or status may have changed since the
+// given time, plus the products customers are waiting for
+const findProductsToCheck = async (since, awaitedProductIds) => {
+  const [moved, updated] = await Promise.all([
+    InventoryMovement.distinct('product', { createdAt: { $gte: since } }),
+    Product.distinct('_id', { updatedAt: { $gte: since } })
+  ]);
+  return [...new Set([...moved, ...updated, ...awaitedProductIds].map(String))];
+};
+
+// Bulk write operation setting (or clearing) the low-stock alert time of a stock item
+const setAlertedAt = (product, item, value) => ({
+  updateOne: item.variant
+    ? {
+      filter: { _id: product._id, 'variants._id': item.variant._id },
+      update: { $set: { 'variants.$.inventory.lowStockAlertedAt': value } },
+      timestamps: false
+    }
+    : {
+      filter: { _id: product._id },
+      update: { $set: { 'inventory.lowStockAlertedAt': value } },
+      timestamps: false
+    }
+});
+
+// Find the product's items that ran low since the last alert, and the alerts to
+// clear for items that were restocked above the threshold
+const checkLowStock = (product) => {
+  const tracked = product.status === 'active' && product.inventory.trackInventory;
+  const alerts = [];
+  const cleared = [];
+
+  for (const item of product.getStockItems()) {
+    const isLow = tracked && item.inventory.quantity <= product.inventory.lowStockThreshold;
+    if (isLow && !item.inventory.lowStockAlertedAt) {
+      alerts.push({
+        title: product.title,
+        sku: item.sku,
+        quantity: item.inventory.quantity,
+        threshold: product.inventory.lowStockThreshold,
+        operation: setAlertedAt(product, item, new Date())
+      });
+    } else if (!isLow && item.inventory.lowStockAlertedAt) {
+      cleared.push(setAlertedAt(product, item, null));
+    }
+  }
+
+  return { alerts, cleared };
+};
+
+// Email everyone waiting for the product (or one of its variants) that can now be
+// bought. Returns the number of subscribers notified.
+const notifySubscribers = async (product) => {
+  const subscriptions = await StockSubscription.find({ product: product._id, status: 'pending' });
+  let notified = 0;
+
+  for (const subscription of subscriptions) {
+    const variant = subscription.variant ? product.variants.id(subscription.variant) : null;
+    if (subscription.variant && !variant) {
+      await StockSubscription.updateOne({ _id: subscription._id }, { $set: { status: 'cancelled' } });
+      continue;
+    }
+    if (!product.isInStock(variant)) continue;
+
+    const user = await User.findById(subscription.user).select('firstName email isActive');
+    if (!user || !user.isActive) {
+      await StockSubscription.updateOne({ _id: subscription._id }, { $set: { status: 'cancelled' } });
+      continue;
+    }
+
+    if (!await subscription.markNotified()) continue;
+    try {
+      await sendBackInStockEmail(user, product, variant);
+      notified++;
+    } catch (error) {
+      // Try again on the next check
+      await StockSubscription.updateOne(
+        { _id: subscription._id, status: 'notified' },
+        { $set: { status: 'pending' }, $unset: { notifiedAt: 1 } }
+      );
+    }
+  }
+
+  return notified;
+};
+
+// Alert admins to items that ran low and email subscribers of products that are
+// back in stock. The first run checks every product; later runs only check the
+// products changed since the previous run and those customers are waiting for.
+const processStockAlerts = async () => {
+  const startedAt = new Date();
+  const awaitedProductIds = await StockSubscription.distinct('product', { status: 'pending' });
+  const awaited = new Set(awaitedProductIds.map(String));
+
+  const filter = {};
+  if (lastCheckStartedAt) {
+    const productIds = await findProductsToCheck(new Date(lastCheckStartedAt - RECHECK_OVERLAP_MS), awaitedProductIds);
+    if (productIds.length === 0) {
+      lastCheckStartedAt = startedAt;
+      return { lowStockAlerts: 0, subscribersNotified: 0 };
+    }
+    filter._id = { $in: productIds };
+  }
+
+  const alerts = [];
+  const cleared = [];
+  let subscribersNotified = 0;
+
+  for await (const product of Product.find(filter).select(STOCK_FIELDS)) {
+    const result = checkLowStock(product);
+    alerts.push(...result.alerts);
+    cleared.push(...result.cleared);
+
+    if (awaited.has(product._id.toString())) {
+      awaited.delete(product._id.toString());
+      subscribersNotified += await notifySubscribers(product);
+    }
+  }
+
+  // Whatever is left is waiting for products that were deleted
+  if (awaited.size > 0) {
+    await StockSubscription.updateMany(
+      { product: { $in: [...awaited] }, status: 'pending' },
+      { $set: { status: 'cancelled' } }
+    );
+  }
+
+  if (cleared.length > 0) {
+    await Product.bulkWrite(cleared);
+  }
+  // Items are only marked alerted once the email went out, so a failed send is retried
+  if (alerts.length > 0) {
+    await sendLowStockAlert(alerts);
+    await Product.bulkWrite(alerts.map(alert => alert.operation));
+  }
+
+  lastCheckStartedAt = startedAt;
+  return { lowStockAlerts: alerts.length, subscribersNotified };
+};
+
+// Stock items at or below their product's low-stock threshold, lowest stock first,
+// with the number of customers waiting for each
+const listLowStockItems = async ({ status = 'active', outOfStockOnly = false } = {}) => {
+  const filter = { 'inventory.trackInventory': { $ne: false } };
+  if (status) filter.status = status;
+
+  const items = [];
+  for await (const product of Product.find(filter).select(STOCK_FIELDS)) {
+    for (const item of product.getLowStockItems()) {
+      if (outOfStockOnly && item.inventory.quantity > 0) continue;
+      items.push({
+        product: product._id,
+        title: product.title,
+        status: product.status,
+        variant: item.variant ? item.variant._id : null,
+        options: item.variant ? Object.fromEntries(item.variant.options) : null,
+        sku: item.sku,
+        quantity: item.inventory.quantity,
+        threshold: product.inventory.lowStockThreshold,
+        alertedAt: item.inventory.lowStockAlertedAt
+      });
+    }
+  }
+
+  const waiting = await StockSubscription.countPending([...new Set(items.map(item => item.product))]);
+  items.forEach(item => {
+    item.pendingSubscribers = waiting.get(`${item.product}:${item.variant || ''}`) || 0;
+  });
+
+  return items.sort((a, b) => a.quantity - b.quantity || a.title.localeCompare(b.title));
+};
+
+module.exports = {
+  processStockAlerts,
+  listLowStockItems
+};
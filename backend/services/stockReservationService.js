@@ -0,0 +1,164 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+
+// How long stock is held for an unpaid order, and for a payment once started
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES) || 30;
+// Bank transfers are confirmed by hand, so their stock is held longer
+const BANK_TRANSFER_RESERVATION_MINUTES = parseInt(process.env.BANK_TRANSFER_RESERVATION_MINUTES) || 48 * 60;
+
+// Take the stock for a new order. Throws "Insufficient inventory" if an item sold out.
+const reserveOrderStock = (order, { session = null } = {}) => StockReservation.reserve(order, RESERVATION_MINUTES, { session });
+
+// Keep the order's stock held while a payment is in progress, taking it again if
+// an earlier reservation lapsed. Returns null for orders placed before reservations.
+const holdStockForPayment = async (order, method) => {
+  const reservation = await StockReservation.findOne({ order: order._id });
+  if (!reservation) {
+    return null;
+  }
+
+  const minutes = method === 'bank_transfer' ? BANK_TRANSFER_RESERVATION_MINUTES : RESERVATION_MINUTES;
+  return reservation.hold(minutes);
+};
+
+// Record the payment on the reservation so admins can trace it
+const attachPayment = (reservation, payment) => {
+  if (!reservation) {
+    return Promise.resolve();
+  }
+  return StockReservation.updateOne({ _id: reservation._id }, { $set: { payment: payment._id } });
+};
+
+// Note on an order that its payment cannot be kept and must be refunded
+const flagForRefund = (order, note) => {
+  console.error(`Order ${order.orderId} must be refunded: ${note}`);
+  order.notes = [order.notes, note]
+    .filter(Boolean)
+    .join('\n')
+    .substring(0, 500);
+  return order.save();
+};
+
+// Keep the stock for a paid order and move it to processing. If the payment came
+// in after the reservation lapsed and the stock has since sold out, or after the
+// order was cancelled, the order is left as it is with a note for a refund, and
+// false is returned.
+const completeOrderPayment = async (order) => {
+  const reservation = await StockReservation.findOne({ order: order._id });
+
+  // Only an order cancelled because its reservation expired is taken up again
+  if (order.status === 'cancelled' && (!reservation || reservation.releaseReason !== 'expired')) {
+    await flagForRefund(order, 'Paid after the order was cancelled; the payment must be refunded.');
+    return false;
+  }
+
+  if (reservation) {
+    try {
+      await reservation.commit();
+    } catch (error) {
+      if (error.message !== 'Insufficient inventory') throw error;
+
+      await flagForRefund(order, 'Paid after the stock reservation expired; items are out of stock and the payment must be refunded.');
+      return false;
+    }
+  }
+
+  // An order cancelled when its reservation expired counts as sold again
+  if (order.status === 'cancelled') {
+    await Product.recordSales(order.items);
+    order.cancelledAt = undefined;
+    order.cancellationReason = undefined;
+  }
+
+  order.status = 'processing';
+  await order.save();
+  return true;
+};
+
+// Put an order's held stock back. Returns true if stock was returned.
+const releaseOrderStock = async (orderId, reason) => {
+  const reservation = await StockReservation.findOne({ order: orderId });
+  return reservation ? reservation.release(reason) : false;
+};
+
+// Put back all the stock of an order being cancelled: stock still held is released,
+// and stock kept for a paid order (or taken by an order from before reservations)
+// is restocked as a cancellation ({ actor, reason }). Returns true if stock was returned.
+const returnOrderStock = async (order, { actor = null, reason } = {}) => {
+  const reservation = await StockReservation.findOne({ order: order._id });
+
+  if (reservation) {
+    return await reservation.release('cancelled') || reservation.restock({ actor, reason });
+  }
+
+  for (const item of order.items) {
+    const product = await Product.findById(item.product);
+    if (product && product.inventory.trackInventory && (!item.variant || product.variants.id(item.variant))) {
+      await Product.adjustStock(item.product, item.variant, item.quantity, {
+        location: item.location,
+        movement: { type: 'cancellation', order: order._id, actor, reason }
+      });
+    }
+  }
+  return true;
+};
+
+// Take the stock again for a cancelled order that is being reinstated with the
+// given status: held for the reservation period while the order is pending, kept
+// for good otherwise. Orders from before reservations get one. Throws
+// "Insufficient inventory" (and takes nothing) when an item sold out meanwhile.
+const reclaimOrderStock = async (order, status, { session = null } = {}) => {
+  const reservation = await StockReservation.findOne({ order: order._id }).session(session) ||
+    await reserveOrderStock(order, { session });
+
+  return status === 'pending'
+    ? reservation.hold(RESERVATION_MINUTES, { session })
+    : reservation.commit({ session });
+};
+
+// Release reservations whose time ran out, cancelling their unpaid orders and payments.
+// Returns the number of reservations released.
+const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({ status: 'held', expiresAt: { $lte: new Date() } });
+  let released = 0;
+
+  for (const reservation of expired) {
+    if (!await reservation.release('expired')) continue;
+    released++;
+
+    // Claimed with a conditional update so a customer cancelling at the same time
+    // does not update the sales figures twice
+    const order = await Order.findOneAndUpdate(
+      { _id: reservation.order, status: 'pending' },
+      { $set: {
+        status: 'cancelled',
+        cancellationReason: 'Payment was not completed before the stock reservation expired',
+        cancelledAt: new Date()
+      } }
+    );
+    if (order) {
+      await Product.recordSales(order.items, -1);
+    }
+
+    await Payment.updateMany(
+      { order: reservation.order, status: { $in: ['pending', 'processing'] } },
+      { $set: { status: 'cancelled' } }
+    );
+  }
+
+  return released;
+};
+
+module.exports = {
+  RESERVATION_MINUTES,
+  reserveOrderStock,
+  holdStockForPayment,
+  attachPayment,
+  completeOrderPayment,
+  releaseOrderStock,
+  returnOrderStock,
+  reclaimOrderStock,
+  releaseExpiredReservations
+};
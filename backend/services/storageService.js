@@ -0,0 +1,65 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Storage adapters implement:
+//   save(key, buffer, { contentType }) -> public URL of the stored file
+//   remove(key) -> resolves once the file is gone (missing files are ignored)
+const adapters = new Map();
+let activeStorage = null;
+
+// Register a storage adapter factory under a name (selected with STORAGE_DRIVER)
+const registerStorageAdapter = (name, factory) => {
+  adapters.set(name, factory);
+};
+
+// Local disk adapter: files live under UPLOAD_DIR and are served from UPLOAD_BASE_URL
+const createLocalStorage = ({
+  root = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+  baseUrl = process.env.UPLOAD_BASE_URL || '/uploads'
+} = {}) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    root,
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl.replace(/\/$/, '')}/${key}`;
+    },
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+registerStorageAdapter('local', createLocalStorage);
+
+// Get the configured storage adapter (local disk by default)
+const getStorage = () => {
+  if (!activeStorage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    const factory = adapters.get(driver);
+    if (!factory) {
+      throw new Error(`Unknown storage driver "${driver}"`);
+    }
+    activeStorage = factory();
+  }
+  return activeStorage;
+};
+
+module.exports = {
+  registerStorageAdapter,
+  createLocalStorage,
+  getStorage
+};
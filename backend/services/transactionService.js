@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+let transactionsUnsupported = false;
+
+// Standalone MongoDB servers (common in local development) reject transactions
+const isTransactionUnsupported = (error) => error.code === 20 ||
+  /Transaction numbers are only allowed|replica set/i.test(error.message || '');
+
+// Run work(session) in a multi-document transaction, so its writes apply all
+// together or not at all. Transient errors are retried by the driver, so work may
+// run more than once and must not have side effects outside the database.
+// On a server without transaction support, work runs once with a null session.
+const runInTransaction = async (work) => {
+  if (transactionsUnsupported) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+
+    transactionsUnsupported = true;
+    console.warn('MongoDB transactions are not supported by this server (use a replica set); continuing without them');
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction
+};
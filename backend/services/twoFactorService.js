@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const RECOVERY_CODE_COUNT = 10;
+
+// Encode a buffer as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode an RFC 4648 base32 string into a buffer
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random TOTP secret (base32, 160 bits)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Generate the HOTP value for a counter (RFC 4226)
+const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Get the current TOTP time step
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD);
+
+// Generate the TOTP code for a point in time (RFC 6238)
+const generateTOTP = (secret, timestamp = Date.now()) => generateHOTP(secret, getTimeStep(timestamp));
+
+// Verify a TOTP code. Returns the matched time step, or null if the code is invalid
+// or belongs to a step at or before lastUsedStep (prevents replaying a code).
+const verifyTOTP = (secret, code, lastUsedStep = null) => {
+  if (!secret || !/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentStep + drift;
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateHOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Build an otpauth:// URI for authenticator apps
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'ShopEase';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Hash a recovery code for storage
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+};
+
+// Generate a fresh set of one-time recovery codes
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+module.exports = {
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
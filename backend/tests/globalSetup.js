@@ -0,0 +1,12 @@
+const { MongoBinary } = require('mongodb-memory-server');
+
+// Suites that need MongoDB run against mongodb-memory-server, which downloads a
+// mongod binary on first use (or uses MONGOMS_SYSTEM_BINARY). When none can be
+// had, for example offline, they are skipped instead of failing the test run.
+module.exports = async () => {
+  try {
+    await MongoBinary.getPath();
+  } catch (error) {
+    process.env.MONGODB_BINARY_UNAVAILABLE = error.message.split('\n').pop();
+  }
+};
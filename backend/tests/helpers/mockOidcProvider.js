@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// A minimal OpenID Connect provider for tests. It serves discovery, JWKS,
+// authorization and token endpoints on a random local port, checks the client
+// credentials, redirect URI and PKCE verifier like a real provider, and signs
+// ID tokens with its own RSA key. Tests can tamper with the next ID token
+// through `nextIdToken` to check that bad tokens are rejected.
+const createMockOidcProvider = ({ clientId = 'shopease', clientSecret = 'secret' } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key';
+  const codes = new Map();
+  const provider = {
+    issuer: null,
+    clientId,
+    clientSecret,
+    // Claims to add to the next ID token (e.g. a different nonce or audience),
+    // or `signingKey` to sign it with a key the provider does not publish
+    nextIdToken: null,
+    // The user the authorization endpoint logs in as
+    user: {
+      sub: 'mock-user-1',
+      email: 'mock.user@example.com',
+      email_verified: true,
+      given_name: 'Mock',
+      family_name: 'User'
+    }
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: provider.issuer,
+      authorization_endpoint: `${provider.issuer}/authorize`,
+      token_endpoint: `${provider.issuer}/token`,
+      userinfo_endpoint: `${provider.issuer}/userinfo`,
+      jwks_uri: `${provider.issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  // Log the user straight in and redirect back with a single-use code
+  app.get('/authorize', (req, res) => {
+    const { response_type: responseType, client_id: id, redirect_uri: redirectUri, state, nonce } = req.query;
+    const { code_challenge: codeChallenge, code_challenge_method: codeChallengeMethod } = req.query;
+
+    if (responseType !== 'code' || id !== clientId || !state || codeChallengeMethod !== 'S256' || !codeChallenge) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { redirectUri, codeChallenge, nonce });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set('code', code);
+    location.searchParams.set('state', state);
+    res.redirect(302, location.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+
+    if (req.body.client_id !== clientId || req.body.client_secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (grantType !== 'authorization_code' || !grant || grant.redirectUri !== redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const { signingKey = privateKey, ...overrides } = provider.nextIdToken || {};
+    provider.nextIdToken = null;
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      iss: provider.issuer,
+      aud: clientId,
+      iat: now,
+      exp: now + 300,
+      nonce: grant.nonce,
+      ...provider.user,
+      ...overrides
+    };
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: jwt.sign(claims, signingKey, { algorithm: 'RS256', keyid: kid })
+    });
+  });
+
+  let server;
+
+  provider.start = () => new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', () => {
+      provider.issuer = `http://127.0.0.1:${server.address().port}`;
+      resolve(provider);
+    });
+  });
+
+  provider.stop = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+  });
+
+  return provider;
+};
+
+module.exports = { createMockOidcProvider };
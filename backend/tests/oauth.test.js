@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createMockOidcProvider } = require('./helpers/mockOidcProvider');
+
+// Keep pending states in memory so the flow can be tested without a database
+jest.mock('../models/OAuthState', () => {
+  const states = new Map();
+  return {
+    create: async (doc) => {
+      states.set(doc.state, { ...doc, user: doc.user || null });
+      return doc;
+    },
+    consume: async (state, provider, userId = null) => {
+      const pending = states.get(state);
+      if (!pending || pending.provider !== provider || String(pending.user) !== String(userId)) {
+        return null;
+      }
+      states.delete(state);
+      return pending;
+    }
+  };
+});
+
+const oauthService = require('../services/oauthService');
+
+describe('OpenID Connect login', () => {
+  let mock;
+  let provider;
+
+  beforeAll(async () => {
+    mock = await createMockOidcProvider().start();
+    provider = {
+      name: 'mock',
+      type: 'oidc',
+      issuer: mock.issuer,
+      clientId: mock.clientId,
+      clientSecret: mock.clientSecret,
+      scope: 'openid email profile',
+      redirectUri: 'http://localhost:3000/oauth/callback/mock'
+    };
+  });
+
+  afterAll(() => mock.stop());
+
+  // Start a flow and let the mock provider log the user in, returning the
+  // authorization request and what the provider redirected back with
+  const authorize = async (options) => {
+    const authorizationUrl = await oauthService.createAuthorizationUrl(provider, options);
+    const request = new URL(authorizationUrl).searchParams;
+    const response = await axios.get(authorizationUrl, { maxRedirects: 0, validateStatus: status => status === 302 });
+    const callback = new URL(response.headers.location).searchParams;
+    return { request, code: callback.get('code'), state: callback.get('state') };
+  };
+
+  it('sends state, nonce and an S256 PKCE challenge', async () => {
+    const { request, state } = await authorize();
+
+    expect(request.get('state')).toBeTruthy();
+    expect(request.get('nonce')).toBeTruthy();
+    expect(request.get('code_challenge_method')).toBe('S256');
+    expect(request.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(state).toBe(request.get('state'));
+  });
+
+  it('returns the profile from a valid ID token', async () => {
+    const { code, state } = await authorize();
+
+    const profile = await oauthService.handleCallback(provider, { code, state });
+
+    expect(profile).toEqual({
+      subject: 'mock-user-1',
+      email: 'mock.user@example.com',
+      emailVerified: true,
+      firstName: 'Mock',
+      lastName: 'User'
+    });
+  });
+
+  describe('state', () => {
+    it('rejects an unknown state', async () => {
+      const { code } = await authorize();
+
+      await expect(oauthService.handleCallback(provider, { code, state: 'forged-state' }))
+        .rejects.toThrow('Invalid or expired OAuth state');
+    });
+
+    it('rejects a state that was already used', async () => {
+      const { code, state } = await authorize();
+      await oauthService.handleCallback(provider, { code, state });
+
+      await expect(oauthService.handleCallback(provider, { code, state }))
+        .rejects.toThrow('Invalid or expired OAuth state');
+    });
+
+    it('rejects a state issued for another provider', async () => {
+      const { code, state } = await authorize();
+
+      await expect(oauthService.handleCallback({ ...provider, name: 'other' }, { code, state }))
+        .rejects.toThrow('Invalid or expired OAuth state');
+    });
+
+    it('only completes a link flow for the user who started it', async () => {
+      const userId = crypto.randomBytes(12).toString('hex');
+      const login = await authorize();
+      const link = await authorize({ userId });
+
+      await expect(oauthService.handleCallback(provider, { code: login.code, state: login.state }, { userId }))
+        .rejects.toThrow('Invalid or expired OAuth state');
+      await expect(oauthService.handleCallback(provider, { code: link.code, state: link.state }))
+        .rejects.toThrow('Invalid or expired OAuth state');
+    });
+  });
+
+  describe('PKCE', () => {
+    it('rejects a code issued to another flow', async () => {
+      const victim = await authorize();
+      const attacker = await authorize();
+
+      // The provider refuses the code because it was bound to the victim's challenge
+      await expect(oauthService.handleCallback(provider, { code: victim.code, state: attacker.state }))
+        .rejects.toThrow('Request failed with status code 400');
+    });
+  });
+
+  describe('ID token', () => {
+    it('rejects a token with the wrong nonce', async () => {
+      const { code, state } = await authorize();
+      mock.nextIdToken = { nonce: 'replayed-nonce' };
+
+      await expect(oauthService.handleCallback(provider, { code, state }))
+        .rejects.toThrow('ID token nonce mismatch');
+    });
+
+    it('rejects a token without a nonce', async () => {
+      const { code, state } = await authorize();
+      mock.nextIdToken = { nonce: undefined };
+
+      await expect(oauthService.handleCallback(provider, { code, state }))
+        .rejects.toThrow('ID token nonce mismatch');
+    });
+
+    it('rejects a token issued to another client', async () => {
+      const { code, state } = await authorize();
+      mock.nextIdToken = { aud: 'another-client' };
+
+      await expect(oauthService.handleCallback(provider, { code, state }))
+        .rejects.toThrow('jwt audience invalid');
+    });
+
+    it('rejects a token from another issuer', async () => {
+      const { code, state } = await authorize();
+      mock.nextIdToken = { iss: 'https://evil.example.com' };
+
+      await expect(oauthService.handleCallback(provider, { code, state }))
+        .rejects.toThrow('jwt issuer invalid');
+    });
+
+    it('rejects an expired token', async () => {
+      const { code, state } = await authorize();
+      const issuedAt = Math.floor(Date.now() / 1000) - 600;
+      mock.nextIdToken = { iat: issuedAt, exp: issuedAt + 300 };
+
+      await expect(oauthService.handleCallback(provider, { code, state }))
+        .rejects.toThrow('jwt expired');
+    });
+
+    it('rejects a token signed with a key the provider does not publish', async () => {
+      const { code, state } = await authorize();
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      mock.nextIdToken = { signingKey: privateKey };
+
+      await expect(oauthService.handleCallback(provider, { code, state }))
+        .rejects.toThrow('invalid signature');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// Order notifications are not part of what is tested here
+jest.mock('../services/emailService');
+
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Location = require('../models/Location');
+const StockReservation = require('../models/StockReservation');
+const InventoryMovement = require('../models/InventoryMovement');
+const { generateToken } = require('../middleware/auth');
+
+const STOCK = 3;
+const CUSTOMERS = 10;
+
+const shippingAddress = {
+  firstName: 'Ada',
+  lastName: 'Obi',
+  email: 'ada@example.com',
+  phone: '08012345678',
+  address: '12 Marina Road',
+  city: 'Lagos',
+  state: 'Lagos'
+};
+
+// Set by tests/globalSetup.js when no mongod binary could be found or downloaded
+const mongoUnavailable = process.env.MONGODB_BINARY_UNAVAILABLE;
+if (mongoUnavailable) {
+  console.warn(`Skipping the concurrent checkout tests: no MongoDB binary (${mongoUnavailable}). ` +
+    'Set MONGOMS_SYSTEM_BINARY to a local mongod 7.0 or later to run them offline.');
+}
+
+// Placing orders runs in transactions, which need a replica set
+(mongoUnavailable ? describe.skip : describe)('POST /api/orders under concurrent checkouts', () => {
+  let replSet;
+  let app;
+  let product;
+  let customers;
+
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    // Create collections and indexes up front rather than inside the transactions
+    await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/orders', require('../routes/orders'));
+
+    await Location.ensureDefaultLocation();
+
+    // Stocked the way POST /api/products does it, opening entry included
+    const admin = new mongoose.Types.ObjectId();
+    product = await Product.create({
+      title: 'Limited Sneaker',
+      description: 'Only a few pairs were made',
+      price: 10000,
+      category: new mongoose.Types.ObjectId(),
+      brand: 'ShopEase',
+      inventory: { sku: 'LIMITED-1', quantity: STOCK },
+      createdBy: admin
+    });
+    await InventoryMovement.recordSnapshotChanges(product, new Map(), { type: 'initial', actor: admin });
+
+    customers = await User.insertMany(Array.from({ length: CUSTOMERS }, (_, index) => ({
+      firstName: 'Customer',
+      lastName: `${index}`,
+      email: `customer${index}@example.com`,
+      password: 'not-used-here',
+      isEmailVerified: true,
+      cart: { items: [{ product: product._id, quantity: 1 }] }
+    })));
+  }, 300000);
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (replSet) {
+      await replSet.stop();
+    }
+  });
+
+  const placeOrder = (customer) => request(app)
+    .post('/api/orders')
+    .set('Authorization', `Bearer ${generateToken(customer._id)}`)
+    .send({
+      items: [{ productId: product._id.toString(), quantity: 1 }],
+      shippingAddress,
+      paymentMethod: 'card'
+    });
+
+  it('sells exactly the stock available and leaves no trace of failed orders', async () => {
+    const responses = await Promise.all(customers.map(placeOrder));
+
+    const placed = responses.filter(response => response.status === 201);
+    const refused = responses.filter(response => response.status !== 201);
+    expect(placed).toHaveLength(STOCK);
+    refused.forEach(response => {
+      // Refused up front (stock already gone) or when taking the stock failed
+      expect([400, 409]).toContain(response.status);
+      expect(response.body.success).toBe(false);
+    });
+
+    const orderIds = placed.map(response => response.body.data.order._id).sort();
+
+    // Only the placed orders exist, each with its own stock reservation
+    const orders = await Order.find({});
+    expect(orders.map(order => order._id.toString()).sort()).toEqual(orderIds);
+
+    const reservations = await StockReservation.find({});
+    expect(reservations.map(reservation => reservation.order.toString()).sort()).toEqual(orderIds);
+    reservations.forEach(reservation => expect(reservation.status).toBe('held'));
+
+    // Besides the initial stock, the ledger only has the sales of the placed orders
+    // (nothing taken and put back for the refused ones)
+    const movements = await InventoryMovement.find({ product: product._id, type: { $ne: 'initial' } });
+    expect(movements.map(movement => movement.order.toString()).sort()).toEqual(orderIds);
+    movements.forEach(movement => {
+      expect(movement.type).toBe('sale');
+      expect(movement.quantity).toBe(-1);
+    });
+
+    // Stock is sold out, at the location as well as in total
+    const stored = await Product.findById(product._id).select('+metrics.revenue');
+    expect(stored.inventory.quantity).toBe(0);
+    expect(stored.inventory.locations.every(entry => entry.quantity === 0)).toBe(true);
+    expect(stored.metrics.unitsSold).toBe(STOCK);
+
+    // Customers whose order failed keep their cart
+    const placedBy = new Set(orders.map(order => order.user.toString()));
+    const users = await User.find({ _id: { $in: customers.map(customer => customer._id) } });
+    users.forEach(user => {
+      expect(user.cart.items).toHaveLength(placedBy.has(user._id.toString()) ? 0 : 1);
+    });
+  }, 60000);
+});